@@ -18,21 +18,36 @@ const cors       = require('cors');
 const path       = require('path');
 const fs         = require('fs');
 const { execSync, spawn } = require('child_process');
+const crypto     = require('crypto');
+const EventEmitter = require('events');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const dns        = require('dns');
+const net        = require('net');
+const { Agent: UndiciAgent, fetch: undiciFetch } = require('undici');
 const { v4: uuidv4 } = require('uuid');
+const archiver   = require('archiver');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
 
 // ── Dirs ──
-const DIRS = ['uploads', 'outputs', 'temp', 'public'];
+const DIRS = ['uploads', 'outputs', 'temp', 'cache', 'public'];
 DIRS.forEach(d => {
   const p = path.join(__dirname, d);
   if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
 });
 
 // ── Middleware ──
-app.use(cors());
+// CORS_ORIGINS: comma-separated origins allowed to call the API from a
+// browser, or * for any. Unset, only the bundled same-origin UI can.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({
+  origin: CORS_ORIGINS.includes('*') ? true : (origin, cb) => cb(null, !origin || CORS_ORIGINS.includes(origin)),
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Last-Event-ID']
+}));
 app.use(express.json());
+app.use('/api', authenticate);
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ── Multer ──
@@ -41,563 +56,5540 @@ const storage = multer.diskStorage({
   filename: (_, file, cb) => cb(null, `${Date.now()}-${file.originalname.replace(/\s/g,'_')}`)
 });
 
+// Upload limits; MAX_RESOLUTION applies to either orientation
+const MEDIA_LIMITS = {
+  uploadMb:   parseFloat(process.env.MAX_UPLOAD_MB) || 2048,
+  seconds:    parseFloat(process.env.MAX_VIDEO_SECONDS) || 7200,
+  resolution: (process.env.MAX_RESOLUTION || '3840x2160').split('x').map(Number)
+};
+
+// Accepted video containers, by extension and by MIME type
+const VIDEO_TYPES = {
+  '.mp4': 'video/mp4', '.m4v': 'video/mp4', '.mov': 'video/quicktime', '.avi': 'video/x-msvideo',
+  '.mkv': 'video/x-matroska', '.webm': 'video/webm'
+};
+
 const upload = multer({
   storage,
-  limits: { fileSize: 2 * 1024 * 1024 * 1024 }, // 2 GB
+  limits: { fileSize: Math.round(MEDIA_LIMITS.uploadMb * 1024 * 1024) }, // MAX_UPLOAD_MB, default 2 GB
   fileFilter: (_, file, cb) => {
-    const allowed = ['video/mp4','video/quicktime','video/x-msvideo','video/x-matroska','video/webm'];
-    allowed.includes(file.mimetype) ? cb(null, true) : cb(new Error('Invalid video format'));
+    if (file.fieldname === 'transcript') {
+      return transcriptFormat(file.originalname) ? cb(null, true)
+        : cb(new Error(`Invalid transcript format (use ${[...new Set(Object.values(TRANSCRIPT_FORMATS))].join(', ')})`));
+    }
+    Object.values(VIDEO_TYPES).includes(file.mimetype) ? cb(null, true) : cb(new Error('Invalid video format'));
   }
 });
 
-// ── In-memory job store (use Redis/DB in production) ──
+// ── Persistent job store ──
+// Jobs live in memory for fast reads and are mirrored to data/jobs/<id>.json,
+// so a restart can pick interrupted jobs back up. Status, stage and artifact
+// changes are written at once; progress ticks at most every PERSIST_DEBOUNCE_MS.
+const JOBS_DIR = path.join(__dirname, 'data', 'jobs');
+if (!fs.existsSync(JOBS_DIR)) fs.mkdirSync(JOBS_DIR, { recursive: true });
+
 const jobs = new Map();
+const PERSIST_DEBOUNCE_MS = 2000;
+const pendingPersists = new Map();   // job id → timer of a deferred write
+const PROGRESS_FIELDS = ['progress', 'message'];
+
+function persistJob(job) {
+  clearTimeout(pendingPersists.get(job.id));
+  pendingPersists.delete(job.id);
+  const file = path.join(JOBS_DIR, `${job.id}.json`);
+  try {
+    fs.writeFileSync(file + '.tmp', JSON.stringify(job, null, 2));
+    fs.renameSync(file + '.tmp', file);
+  } catch (err) {
+    console.error('[JobStore] Failed to persist job', job.id, err.message);
+  }
+}
+
+/**
+ * persistJob for progress-only changes: one write per job per debounce
+ * window, carrying whatever the job looks like by then.
+ */
+function persistJobSoon(job) {
+  if (pendingPersists.has(job.id)) return;
+  pendingPersists.set(job.id, setTimeout(() => {
+    pendingPersists.delete(job.id);
+    if (jobs.get(job.id) === job) persistJob(job);
+  }, PERSIST_DEBOUNCE_MS));
+}
+
+function flushJobs() {
+  for (const id of Array.from(pendingPersists.keys())) {
+    const job = jobs.get(id);
+    if (job) persistJob(job);
+  }
+}
+
+// Deferred writes must land before the process goes: on exit, and on the
+// usual stop signals, which are then re-raised so the exit code is unchanged
+process.on('exit', flushJobs);
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+  flushJobs();
+  process.kill(process.pid, signal);
+}));
+
+function loadJobs() {
+  for (const name of fs.readdirSync(JOBS_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, name), 'utf-8'));
+      job.artifacts = job.artifacts || {};
+      job.stageReports = job.stageReports || {};
+      job.warnings = job.warnings || [];
+      jobs.set(job.id, job);
+    } catch (err) {
+      console.warn('[JobStore] Skipping unreadable job file', name, err.message);
+    }
+  }
+  return jobs.size;
+}
 
-function createJob(id, meta) {
+function createJob(id, meta, owner = ANONYMOUS.id) {
   const job = {
     id,
-    status: 'queued',     // queued | running | done | error
+    owner,                // user id the API key belongs to
+    status: 'queued',     // queued | running | awaiting_review | done | error | cancelled
     stage: null,
     progress: 0,
     message: '',
     meta,
     createdAt: Date.now(),
     updatedAt: Date.now(),
-    outputs: {}
+    artifacts: {},        // stage name → { path, json, at } of completed stages
+    languages: {},        // target lang → { status, stage, progress, message }
+    outputs: {},          // target lang → { video, srt, subtitles, audio, voice, report, quality }
+    stageReports: {},     // stage name → { provider, degraded, reason, at }
+    warnings: []          // { stage, message, at } — fallbacks and provider failures
   };
   jobs.set(id, job);
+  persistJob(job);
   return job;
 }
 
 function updateJob(id, updates) {
   const job = jobs.get(id);
-  if (!job) return;
+  if (!job || job.status === 'cancelled') return;
+  const previousMessage = job.message;
   Object.assign(job, updates, { updatedAt: Date.now() });
+  if (Object.keys(updates).every(key => PROGRESS_FIELDS.includes(key))) persistJobSoon(job);
+  else persistJob(job);
+  if (updates.message && updates.message !== previousMessage) jobLog(id, updates.status === 'error' ? 'error' : 'info', 'pipeline', updates.message);
+  jobEvents.emit('status', job);
 }
 
-// ── Supported Languages ──
-const LANGUAGES = {
-  auto:'auto', en:'English', es:'Spanish', fr:'French', de:'German',
-  it:'Italian', pt:'Portuguese', ru:'Russian', zh:'Chinese',
-  ja:'Japanese', ko:'Korean', ar:'Arabic', hi:'Hindi'
-};
+/**
+ * Progress from a per-language stage goes to job.languages[lang]; the job's
+ * own progress is the mean across its target languages. Without `lang`
+ * (or on jobs without languages) this is plain updateJob.
+ */
+function reportProgress(id, lang, updates) {
+  const job = jobs.get(id);
+  if (!job || job.status === 'cancelled') return;
+  const target = lang && job.languages?.[lang];
+  if (!target) return updateJob(id, updates);
 
-// ══════════════════════════════════════
-// ── PIPELINE STEPS ──
-// ══════════════════════════════════════
+  Object.assign(target, updates);
+  const langs = Object.values(job.languages);
+  updateJob(id, {
+    progress: Math.round(langs.reduce((sum, l) => sum + (l.progress || 0), 0) / langs.length),
+    ...(updates.stage && { stage: updates.stage }),
+    ...(updates.message && { message: langs.length > 1 ? `[${lang}] ${updates.message}` : updates.message })
+  });
+  // A language's own status change is more than a tick: don't leave it deferred
+  if (pendingPersists.has(id) && !Object.keys(updates).every(key => PROGRESS_FIELDS.includes(key))) persistJob(job);
+}
+
+function recordArtifact(id, stage, filePath, json = false) {
+  const job = jobs.get(id);
+  if (!job) return;
+  job.artifacts[stage] = { path: filePath, json, at: Date.now() };
+  job.updatedAt = Date.now();
+  persistJob(job);
+}
 
 /**
- * Step 1 — Extract audio from video using ffmpeg
+ * Record which provider ran a stage (named as in runStage, e.g. `lipsync:es`)
+ * and whether it fell back to a degraded one. Degraded stages, failed
+ * providers and any `notes` become job warnings; in strict mode a degraded stage throws, so
+ * the job fails instead of shipping a mock transcript or the original audio.
  */
-async function extractAudio(videoPath, jobId) {
-  const audioPath = path.join(__dirname, 'temp', `${jobId}_audio.wav`);
-  updateJob(jobId, { stage: 'pill-extract', progress: 8, message: 'Extracting audio from video...' });
+function reportStage(id, stage, { provider, degraded = false, reason = null, failures = [], notes = [] }) {
+  const job = jobs.get(id);
+  if (!job) return;
+  job.stageReports[stage] = { provider, degraded, reason, at: Date.now() };
 
-  return new Promise((resolve, reject) => {
-    const proc = spawn('ffmpeg', [
-      '-i', videoPath,
-      '-vn', '-acodec', 'pcm_s16le',
-      '-ar', '16000', '-ac', '1',
-      '-y', audioPath
-    ]);
+  // A re-run stage (resume, retranslate) replaces its earlier warnings
+  const warnings = failures.map(f => `${f} — used ${provider}`).concat(notes);
+  if (degraded) warnings.unshift(`Degraded: ${stage} fell back to ${provider}${reason ? ` (${reason})` : ''}`);
+  job.warnings = job.warnings.filter(w => w.stage !== stage);
+  addJobWarnings(id, stage, warnings);
 
-    proc.on('close', code => {
-      if (code === 0) {
-        updateJob(jobId, { progress: 15 });
-        resolve(audioPath);
-      } else {
-        reject(new Error(`ffmpeg audio extraction failed (code ${code})`));
+  if (degraded && job.meta.strict) {
+    throw new Error(`Strict mode: ${stage} would fall back to ${provider}${reason ? ` (${reason})` : ''}`);
+  }
+}
+
+function addJobWarnings(id, stage, messages) {
+  const job = jobs.get(id);
+  if (!job) return;
+  job.warnings.push(...messages.map(message => ({ stage, message, at: Date.now() })));
+  job.updatedAt = Date.now();
+  persistJob(job);
+  messages.forEach(message => jobLog(id, 'warn', stage, message));
+}
+
+function readArtifact(id, stage) {
+  const artifact = jobs.get(id)?.artifacts?.[stage];
+  if (!artifact?.json || !fs.existsSync(artifact.path)) return null;
+  return JSON.parse(fs.readFileSync(artifact.path, 'utf-8'));
+}
+
+function writeArtifact(id, stage, data) {
+  const artifact = jobs.get(id)?.artifacts?.[stage];
+  if (!artifact?.json) return;
+  fs.writeFileSync(artifact.path, JSON.stringify(data, null, 2));
+}
+
+function removeJob(id) {
+  const job = jobs.get(id);
+  if (job) releaseStorage(job);
+  clearTimeout(pendingPersists.get(id));
+  pendingPersists.delete(id);
+  jobs.delete(id);
+  jobLogs.delete(id);
+  try { fs.unlinkSync(path.join(JOBS_DIR, `${id}.json`)); } catch {}
+}
+
+// ── Job queue ──
+// Pipelines run through a bounded queue so uploads don't all start Whisper and
+// Wav2Lip at once. Heavy stages have their own, tighter limits on top of that.
+const QUEUE_CONFIG = {
+  maxPipelines: parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2,
+  maxTranscribe: parseInt(process.env.MAX_CONCURRENT_TRANSCRIBE, 10) || 1,
+  maxLipSync: parseInt(process.env.MAX_CONCURRENT_LIPSYNC, 10) || 1,
+  maxSeparate: parseInt(process.env.MAX_CONCURRENT_SEPARATE, 10) || 1,
+  maxTts: parseInt(process.env.MAX_CONCURRENT_TTS, 10) || 2,
+  defaultJobSeconds: parseInt(process.env.DEFAULT_JOB_SECONDS, 10) || 300
+};
+
+const jobQueue = [];         // job ids waiting for a pipeline slot, in order
+const runningJobs = new Set();
+
+/**
+ * Counting semaphore for a single stage. `run` waits for a free slot,
+ * runs `fn`, then hands the slot to the next waiter. Aborting `signal`
+ * (the job's, on cancel) takes a waiter out of line.
+ */
+function createLimiter(name, limit) {
+  const limiter = {
+    name, limit, active: 0, waiting: [],
+    async run(fn, onWait, signal) {
+      if (signal?.aborted) throw new Error('Job cancelled');
+      if (limiter.active >= limiter.limit) {
+        if (onWait) onWait(limiter.waiting.length + 1);
+        await new Promise((resolve, reject) => {
+          const abort = () => {
+            limiter.waiting.splice(limiter.waiting.indexOf(next), 1);
+            reject(new Error('Job cancelled'));
+          };
+          const next = () => {
+            signal?.removeEventListener('abort', abort);
+            resolve();
+          };
+          signal?.addEventListener('abort', abort, { once: true });
+          limiter.waiting.push(next);
+        });
+      }
+      limiter.active++;
+      try {
+        return await fn();
+      } finally {
+        limiter.active--;
+        const next = limiter.waiting.shift();
+        if (next) next();
       }
+    }
+  };
+  return limiter;
+}
+
+const stageLimiters = {
+  transcribe: createLimiter('transcribe', QUEUE_CONFIG.maxTranscribe),
+  lipsync: createLimiter('lipsync', QUEUE_CONFIG.maxLipSync),
+  separate: createLimiter('separate', QUEUE_CONFIG.maxSeparate),
+  tts: createLimiter('tts', QUEUE_CONFIG.maxTts)
+};
+
+function enqueueJob(id) {
+  if (!jobQueue.includes(id) && !runningJobs.has(id)) jobQueue.push(id);
+  pumpQueue();
+}
+
+function dequeueJob(id) {
+  const idx = jobQueue.indexOf(id);
+  if (idx !== -1) jobQueue.splice(idx, 1);
+}
+
+function pumpQueue() {
+  while (runningJobs.size < QUEUE_CONFIG.maxPipelines && jobQueue.length) {
+    const id = jobQueue.shift();
+    const job = jobs.get(id);
+    if (!job || job.status === 'cancelled') continue;
+
+    runningJobs.add(id);
+    updateJob(id, { startedAt: Date.now() });
+    runPipeline(id, job.meta.videoPath, job.meta).finally(() => {
+      runningJobs.delete(id);
+      releaseJobHandle(id);
+      updateJob(id, { finishedAt: Date.now() });
+      if (jobs.has(id)) syncStorage(job);
+      pumpQueue();
     });
+  }
+}
 
-    proc.on('error', () => reject(new Error('ffmpeg not found — please install ffmpeg')));
+/**
+ * Average wall-clock time of recently finished jobs, used for start estimates.
+ */
+function averageJobSeconds() {
+  const finished = Array.from(jobs.values())
+    .filter(j => j.status === 'done' && j.startedAt && j.finishedAt)
+    .slice(-20);
+  if (!finished.length) return QUEUE_CONFIG.defaultJobSeconds;
+  return finished.reduce((sum, j) => sum + (j.finishedAt - j.startedAt) / 1000, 0) / finished.length;
+}
+
+/**
+ * Queue position (1-based) and estimated start time for a queued job.
+ * Simulates slots freeing up as running jobs hit the average job duration.
+ */
+function queueInfo(id) {
+  const position = jobQueue.indexOf(id);
+  if (position === -1) return { position: null, estimatedStart: null };
+
+  const avg = averageJobSeconds() * 1000;
+  const now = Date.now();
+  const slots = Array.from(runningJobs).map(rid => {
+    const started = jobs.get(rid)?.startedAt || now;
+    return Math.max(now, started + avg);
   });
+  while (slots.length < QUEUE_CONFIG.maxPipelines) slots.push(now);
+
+  let start = now;
+  for (let i = 0; i <= position; i++) {
+    slots.sort((a, b) => a - b);
+    start = slots[0];
+    slots[0] = start + avg;
+  }
+  return { position: position + 1, estimatedStart: start };
+}
+
+function queueSummary() {
+  return {
+    running: runningJobs.size,
+    queued: jobQueue.length,
+    max_concurrent: QUEUE_CONFIG.maxPipelines,
+    stages: Object.fromEntries(Object.values(stageLimiters).map(l => [
+      l.name, { active: l.active, waiting: l.waiting.length, limit: l.limit }
+    ]))
+  };
+}
+
+// ── Job cancellation ──
+// Every running job gets a handle holding its live child processes and an
+// AbortController shared by its outbound fetches, so a cancel can stop both.
+const jobHandles = new Map();
+
+function jobHandle(id) {
+  if (!jobHandles.has(id)) {
+    jobHandles.set(id, { procs: new Set(), controller: new AbortController() });
+  }
+  return jobHandles.get(id);
+}
+
+function releaseJobHandle(id) {
+  jobHandles.delete(id);
+}
+
+function isCancelled(id) {
+  return jobs.get(id)?.status === 'cancelled';
+}
+
+function throwIfCancelled(id) {
+  if (isCancelled(id)) throw new Error('Job cancelled');
+}
+
+function jobSignal(id) {
+  return jobHandle(id).controller.signal;
 }
 
 /**
- * Step 2 — Extract video frames (for face detection)
+ * spawn() that registers the child on the job so cancelJob can kill it.
  */
-async function extractFrames(videoPath, jobId) {
-  const framesDir = path.join(__dirname, 'temp', `${jobId}_frames`);
-  if (!fs.existsSync(framesDir)) fs.mkdirSync(framesDir);
+function spawnTracked(jobId, cmd, args, opts) {
+  throwIfCancelled(jobId);
+  const proc = spawn(cmd, args, opts);
+  const { procs } = jobHandle(jobId);
+  procs.add(proc);
+  proc.on('close', () => procs.delete(proc));
+  proc.on('error', () => procs.delete(proc));
+  return proc;
+}
 
-  updateJob(jobId, { stage: 'pill-extract', progress: 18, message: 'Extracting video frames...' });
+function killProcess(proc) {
+  if (proc.exitCode !== null || proc.killed) return;
+  proc.kill('SIGTERM');
+  setTimeout(() => { if (proc.exitCode === null) proc.kill('SIGKILL'); }, 5000).unref();
+}
 
-  return new Promise((resolve, reject) => {
-    const proc = spawn('ffmpeg', [
-      '-i', videoPath,
-      '-vf', 'fps=25',
-      '-q:v', '2',
-      path.join(framesDir, 'frame_%05d.jpg'),
-      '-y'
-    ]);
+/**
+ * Cancel a queued or running job: drop it from the queue, kill its child
+ * processes, abort pending API calls and remove partial temp/output files.
+ */
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || !['queued', 'running', 'awaiting_review'].includes(job.status)) return false;
 
-    proc.on('close', code => {
-      code === 0 ? resolve(framesDir) : reject(new Error(`Frame extraction failed (code ${code})`));
+  dequeueJob(id);
+  updateJob(id, { status: 'cancelled', stage: 'cancelled', message: 'Job cancelled', cancelledAt: Date.now() });
+
+  const handle = jobHandles.get(id);
+  if (handle) {
+    handle.controller.abort();
+    handle.procs.forEach(killProcess);
+  }
+
+  cleanupTemp(id);
+  cleanupOutputs(id);
+  syncStorage(job);
+  return true;
+}
+
+// ── Live progress events ──
+// updateJob emits 'status'; jobLog emits 'log'. The SSE route relays both,
+// and the recent log lines are kept in memory so a late subscriber can catch up.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const JOB_LOG_LIMIT = parseInt(process.env.JOB_LOG_LINES, 10) || 500;
+const jobLogs = new Map();   // jobId → [{ seq, ts, level, source, line }]
+let logSeq = 0;
+
+function jobLog(jobId, level, source, line) {
+  if (!jobId || !line) return;
+  const entry = { seq: ++logSeq, ts: Date.now(), level, source, line: String(line).slice(0, 1000) };
+  const lines = jobLogs.get(jobId) || [];
+  lines.push(entry);
+  if (lines.length > JOB_LOG_LIMIT) lines.splice(0, lines.length - JOB_LOG_LIMIT);
+  jobLogs.set(jobId, lines);
+  jobEvents.emit('log', jobId, entry);
+}
+
+const TQDM_PERCENT = /(\d{1,3})%\|/;
+
+/**
+ * Forward a child process's stdout/stderr to the job log, line by line.
+ * `onLine(line, stream)` sees every line first and may return true to keep
+ * it out of the log (progress bars, ffmpeg -progress key=value pairs).
+ */
+function pipeProcessLogs(jobId, proc, source, onLine = () => false) {
+  const forward = (stream, level) => {
+    let buffered = '';
+    proc[stream]?.on('data', d => {
+      const parts = (buffered + d.toString()).split(/[\r\n]+/);
+      buffered = parts.pop();
+      parts.forEach(line => {
+        line = line.trim();
+        if (line && !onLine(line, stream)) jobLog(jobId, level, source, line);
+      });
     });
+  };
+  forward('stdout', 'info');
+  forward('stderr', 'warn');
+}
 
-    proc.on('error', () => reject(new Error('ffmpeg not found')));
-  });
+/**
+ * Map a 0–1 fraction of one step onto the job's [from, to] progress range.
+ */
+function progressBand(jobId, lang, from, to) {
+  let last = -1;
+  return fraction => {
+    const progress = Math.round(from + (to - from) * Math.min(1, Math.max(0, fraction)));
+    if (progress <= last) return;
+    last = progress;
+    reportProgress(jobId, lang, { progress });
+  };
+}
+
+/**
+ * onLine handler for ffmpeg run with `-progress pipe:1 -nostats`: turns
+ * out_time_us into a fraction of `duration` seconds.
+ */
+function ffmpegProgress(duration, onFraction) {
+  return line => {
+    const match = line.match(/^out_time_(?:us|ms)=(\d+)/);
+    if (match && duration) onFraction(Number(match[1]) / 1e6 / duration);
+    return /^[a-z_0-9]+=/.test(line);
+  };
 }
 
 /**
- * Step 3 — Transcribe audio using Whisper
- * Requires: pip install openai-whisper OR whisper.cpp
+ * onLine handler for tqdm progress bars (Demucs, Wav2Lip)
  */
-async function transcribeAudio(audioPath, langCode, jobId) {
-  updateJob(jobId, { stage: 'pill-transcribe', progress: 28, message: 'Running speech recognition...' });
+function tqdmProgress(onFraction) {
+  return line => {
+    const match = line.match(TQDM_PERCENT);
+    if (match) onFraction(Number(match[1]) / 100);
+    return !!match;
+  };
+}
 
-  const lang = langCode === 'auto' ? '' : `--language ${langCode}`;
-  const outputDir = path.join(__dirname, 'temp');
+function mediaDuration(jobId) {
+  return jobs.get(jobId)?.meta?.duration || null;
+}
 
-  return new Promise((resolve, reject) => {
-    const args = [
-      '-m', 'whisper',
-      audioPath,
-      '--model', process.env.WHISPER_MODEL || 'base',
-      '--output_dir', outputDir,
-      '--output_format', 'json',
-      lang
-    ].filter(Boolean);
+// ── Supported Languages ──
+const LANGUAGES = {
+  auto:'auto', en:'English', es:'Spanish', fr:'French', de:'German',
+  it:'Italian', pt:'Portuguese', ru:'Russian', zh:'Chinese',
+  ja:'Japanese', ko:'Korean', ar:'Arabic', hi:'Hindi'
+};
 
-    const proc = spawn('python3', args);
-    let output = '';
+// ── Users, API keys & quotas ──
+// Users come from data/users.json ({ "users": [{ "id", "keys": [...],
+// "admin"?, "quotas"? }] }) and/or API_KEYS ("alice:key1,bob:key2"). With no
+// users configured the API stays open and every job belongs to `anonymous`.
+// A key is sent as `X-API-Key` or `Authorization: Bearer <key>`. EventSource
+// and download links can't set headers, so they carry a short-lived `?token=`
+// from POST /api/dub/:jobId/link-token instead — the key never goes in a URL.
+const USERS_FILE = path.join(__dirname, 'data', 'users.json');
+const ANONYMOUS = { id: 'anonymous', admin: true, quotas: {} };
 
-    proc.stdout.on('data', d => output += d.toString());
-    proc.stderr.on('data', d => console.error('[Whisper]', d.toString()));
+const DEFAULT_QUOTAS = {
+  concurrentJobs: parseInt(process.env.QUOTA_CONCURRENT_JOBS, 10) || 2,     // queued, running or awaiting review
+  monthlyMinutes: parseFloat(process.env.QUOTA_MONTHLY_MINUTES) || 600,     // source minutes submitted per calendar month (UTC)
+  storageMb: parseFloat(process.env.QUOTA_STORAGE_MB) || 20480              // uploads and outputs kept
+};
 
-    proc.on('close', code => {
-      if (code === 0) {
-        try {
-          const jsonFile = path.join(outputDir, path.basename(audioPath, '.wav') + '.json');
-          const result = JSON.parse(fs.readFileSync(jsonFile, 'utf-8'));
-          updateJob(jobId, { progress: 40 });
-          resolve(result);
-        } catch {
-          // Return mock transcript for development
-          resolve(getMockTranscript());
-        }
-      } else {
-        resolve(getMockTranscript());
-      }
-    });
+const users = new Map();     // user id → { id, admin, quotas }
+const apiKeys = new Map();   // sha256(key) → user id
 
-    proc.on('error', () => {
-      console.warn('[Whisper] Not installed — using mock transcript');
-      resolve(getMockTranscript());
-    });
+const hashKey = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+function loadUsers() {
+  const entries = [];
+  if (fs.existsSync(USERS_FILE)) {
+    try {
+      entries.push(...JSON.parse(fs.readFileSync(USERS_FILE, 'utf-8')).users || []);
+    } catch (err) {
+      console.error('[Auth] Cannot read data/users.json:', err.message);
+    }
+  }
+  (process.env.API_KEYS || '').split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const [id, key] = pair.split(':');
+    if (id && key) entries.push({ id, keys: [key] });
   });
+
+  for (const entry of entries) {
+    const user = users.get(entry.id) || { id: entry.id, admin: false, quotas: {} };
+    user.admin = user.admin || !!entry.admin;
+    // File quotas use snake_case like the rest of the API
+    const q = entry.quotas || {};
+    Object.assign(user.quotas, Object.fromEntries(Object.entries({
+      concurrentJobs: q.concurrent_jobs, monthlyMinutes: q.monthly_minutes, storageMb: q.storage_mb
+    }).filter(([, v]) => v != null)));
+    users.set(user.id, user);
+    (entry.keys || []).forEach(key => apiKeys.set(hashKey(key), user.id));
+    (entry.key_hashes || []).forEach(hash => apiKeys.set(hash, user.id));
+  }
+  return users.size;
 }
 
-function getMockTranscript() {
+const authEnabled = () => apiKeys.size > 0;
+
+function quotasFor(user) {
+  return { ...DEFAULT_QUOTAS, ...user.quotas };
+}
+
+function requestKey(req) {
+  const bearer = req.get('authorization')?.match(/^Bearer\s+(.+)$/i);
+  return req.get('x-api-key') || bearer?.[1] || null;
+}
+
+// ── Link tokens ──
+// `<expiry>.<user>.<hmac>`, signed for one job's or batch's events and
+// downloads. The secret is per process unless LINK_TOKEN_SECRET is set, so
+// a restart only costs open links a fresh token. An HLS or DASH package is
+// many files the player fetches by relative URL, so a token used on one
+// is also set as a cookie scoped to that package's directory, renewed on
+// every request so a long playback doesn't outlive it.
+const LINK_TOKEN_SECRET = process.env.LINK_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const LINK_TOKEN_TTL_MS = (parseInt(process.env.LINK_TOKEN_TTL_SECONDS, 10) || 300) * 1000;
+const LINK_PATH = /^\/(dub|batch)\/([^/]+)\/(events|download)(\/|$)/;
+const PACKAGE_PATH = /^\/dub\/([^/]+)\/download\/([^/]+)(\/|$)/;
+const LINK_COOKIE = 'synclab_link';
+
+const linkSignature = (userId, scope, expires) =>
+  crypto.createHmac('sha256', LINK_TOKEN_SECRET).update(`${userId}\n${scope}\n${expires}`).digest('base64url');
+
+function signLinkToken(userId, scope) {
+  const expires = Date.now() + LINK_TOKEN_TTL_MS;
   return {
-    text: 'Hello, welcome to this demonstration of the SyncLab dubbing engine.',
-    segments: [
-      { id: 0, start: 0.0, end: 2.5, text: 'Hello, welcome to this demonstration' },
-      { id: 1, start: 2.5, end: 5.0, text: 'of the SyncLab dubbing engine.' }
-    ],
-    language: 'en'
+    token: `${expires}.${Buffer.from(userId).toString('base64url')}.${linkSignature(userId, scope, expires)}`,
+    expires_at: new Date(expires).toISOString()
   };
 }
 
+/** The package (job id, profile) a request is for, or null */
+function requestPackage(req) {
+  const match = req.path.match(PACKAGE_PATH);
+  return match && RENDER_PROFILES[match[2]]?.package ? { jobId: match[1], profile: match[2] } : null;
+}
+
+/** `?token=`, or on a package's files the link cookie */
+function requestLinkToken(req) {
+  if (typeof req.query.token === 'string') return req.query.token;
+  if (!requestPackage(req)) return null;
+  const cookie = (req.get('cookie') || '').split(/;\s*/).find(c => c.startsWith(`${LINK_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(LINK_COOKIE.length + 1)) : null;
+}
+
 /**
- * Step 4 — Translate text
- * Supports: LibreTranslate (self-hosted), DeepL API, OpenAI
+ * The user a link token vouches for, or null. Only GETs of an events stream
+ * or a download accept one, and only for the job or batch it was signed for.
+ */
+function linkTokenUser(req) {
+  const token = req.method === 'GET' && requestLinkToken(req);
+  const match = token && req.path.match(LINK_PATH);
+  if (!match) return null;
+  const [expires, encodedUser, signature = ''] = token.split('.');
+  if (!(Number(expires) > Date.now())) return null;
+  const userId = Buffer.from(encodedUser || '', 'base64url').toString();
+  const expected = Buffer.from(linkSignature(userId, `${match[1]}:${match[2]}`, expires));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? userId : null;
+}
+
+/**
+ * Middleware for /api: resolves req.user from the API key, or 401.
+ * /api/health stays open for load balancers and monitoring.
+ */
+function authenticate(req, res, next) {
+  if (!authEnabled()) {
+    req.user = ANONYMOUS;
+    return next();
+  }
+  if (req.path === '/health') return next();
+  const key = requestKey(req);
+  const userId = key ? apiKeys.get(hashKey(key)) : linkTokenUser(req);
+  if (!userId || !users.has(userId)) {
+    res.set('WWW-Authenticate', 'Bearer realm="synclab"');
+    const error = key ? 'Invalid API key' : req.query.token ? 'Link token invalid or expired' : 'API key required';
+    return res.status(401).json({ error });
+  }
+  req.user = users.get(userId);
+  const pkg = !key && requestPackage(req);
+  if (pkg) {
+    res.cookie(LINK_COOKIE, signLinkToken(userId, `dub:${pkg.jobId}`).token, {
+      path: `/api/dub/${pkg.jobId}/download/${pkg.profile}/`, httpOnly: true, sameSite: 'strict', maxAge: LINK_TOKEN_TTL_MS
+    });
+  }
+  next();
+}
+
+/**
+ * Whether a user may see a job: its owner, or an admin
+ */
+function canAccess(user, job) {
+  return user.admin || (job.owner || ANONYMOUS.id) === user.id;
+}
+
+/**
+ * The job named by :jobId if the caller may see it. Other users' jobs are
+ * reported as missing, so ids can't be probed.
  */
-async function translateText(transcript, fromLang, toLang, jobId) {
-  updateJob(jobId, { stage: 'pill-translate', progress: 48, message: `Translating ${fromLang} → ${toLang}...` });
+function requestJob(req) {
+  const job = jobs.get(req.params.jobId);
+  return job && canAccess(req.user, job) ? job : null;
+}
+
+// Minutes are charged to a ledger when a job is accepted, so deleting or
+// cancelling a job never gives them back. The ledger also keeps each user's
+// bytes on disk (uploads and outputs, packages included) as a running total,
+// moved by syncStorage whenever a job's files are written or removed, so
+// quota checks never walk the disk. data/usage.json:
+// { user: { minutes: { 'YYYY-MM': minutes }, storageBytes } }
+const USAGE_FILE = path.join(__dirname, 'data', 'usage.json');
+let usageLedger = {};
+
+function ledgerFor(userId) {
+  return usageLedger[userId] = usageLedger[userId] || { minutes: {}, storageBytes: 0 };
+}
+
+function usageMonth(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 7);
+}
 
-  // LibreTranslate (self-hosted, free)
-  if (process.env.LIBRETRANSLATE_URL) {
+function persistUsage() {
+  try {
+    fs.writeFileSync(USAGE_FILE + '.tmp', JSON.stringify(usageLedger, null, 2));
+    fs.renameSync(USAGE_FILE + '.tmp', USAGE_FILE);
+  } catch (err) {
+    console.error('[Usage] Failed to persist the usage ledger:', err.message);
+  }
+}
+
+/**
+ * Load the ledger. Without one yet, it starts from the job records on disk;
+ * jobs whose size was never measured are measured once here.
+ */
+function loadUsage() {
+  if (fs.existsSync(USAGE_FILE)) {
     try {
-      const res = await fetch(`${process.env.LIBRETRANSLATE_URL}/translate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          q: transcript.text,
-          source: fromLang === 'auto' ? 'auto' : fromLang,
-          target: toLang,
-          format: 'text',
-          api_key: process.env.LIBRETRANSLATE_KEY || ''
-        })
-      });
-      const data = await res.json();
-      updateJob(jobId, { progress: 58 });
-      return { ...transcript, translatedText: data.translatedText, segments: transcript.segments };
+      const stored = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf-8'));
+      // Ledgers from before storage was tracked hold only { 'YYYY-MM': minutes }
+      usageLedger = Object.fromEntries(Object.entries(stored).map(([userId, entry]) =>
+        [userId, entry.minutes ? entry : { minutes: entry, storageBytes: 0 }]));
     } catch (err) {
-      console.warn('[LibreTranslate] Failed:', err.message);
+      console.error('[Usage] Unreadable usage ledger — starting empty:', err.message);
+    }
+  } else {
+    for (const job of jobs.values()) {
+      if (job.status !== 'cancelled') chargeMinutes(job.owner || ANONYMOUS.id, job.meta.duration || 0, job.createdAt, false);
+      if (job.storageBytes) ledgerFor(job.owner || ANONYMOUS.id).storageBytes += job.storageBytes;
     }
   }
+  for (const job of jobs.values()) {
+    if (job.storageBytes === undefined) syncStorage(job, false);
+  }
+  persistUsage();
+}
 
-  // DeepL API
-  if (process.env.DEEPL_API_KEY) {
-    try {
-      const res = await fetch('https://api-free.deepl.com/v2/translate', {
-        method: 'POST',
+function chargeMinutes(userId, seconds, time = Date.now(), persist = true) {
+  const { minutes } = ledgerFor(userId);
+  const month = usageMonth(time);
+  minutes[month] = +((minutes[month] || 0) + seconds / 60).toFixed(3);
+  if (persist) persistUsage();
+}
+
+/**
+ * Measure one job's uploads and outputs and move its owner's storage total
+ * by the change. Called after a job's files are written or removed.
+ */
+function syncStorage(job, persist = true) {
+  const files = jobFiles(job);
+  const bytes = [...files.uploads, ...files.outputs].reduce((sum, f) => sum + pathSize(f), 0);
+  const ledger = ledgerFor(job.owner || ANONYMOUS.id);
+  ledger.storageBytes = Math.max(0, ledger.storageBytes + bytes - (job.storageBytes || 0));
+  job.storageBytes = bytes;
+  persistJob(job);
+  if (persist) persistUsage();
+}
+
+/** Take a removed job's bytes off its owner's total */
+function releaseStorage(job) {
+  if (!job.storageBytes) return;
+  const ledger = ledgerFor(job.owner || ANONYMOUS.id);
+  ledger.storageBytes = Math.max(0, ledger.storageBytes - job.storageBytes);
+  persistUsage();
+}
+
+/**
+ * A user's usage against their quotas
+ */
+function usageFor(user) {
+  const owned = Array.from(jobs.values()).filter(j => (j.owner || ANONYMOUS.id) === user.id);
+  return {
+    concurrentJobs: owned.filter(j => ['queued', 'running', 'awaiting_review'].includes(j.status)).length,
+    monthlyMinutes: usageLedger[user.id]?.minutes[usageMonth()] || 0,
+    storageMb: (usageLedger[user.id]?.storageBytes || 0) / (1024 * 1024)
+  };
+}
+
+/**
+ * Why a new job of `seconds` and `bytes` would exceed the user's quotas, or null
+ */
+function quotaProblem(user, { seconds = 0, bytes = 0 } = {}) {
+  if (!authEnabled()) return null;
+  const quotas = quotasFor(user);
+  const usage = usageFor(user);
+  if (usage.concurrentJobs + 1 > quotas.concurrentJobs) {
+    return `You already have ${usage.concurrentJobs} job(s) in progress (limit ${quotas.concurrentJobs})`;
+  }
+  if (usage.monthlyMinutes + seconds / 60 > quotas.monthlyMinutes) {
+    return `This video would take you past your ${quotas.monthlyMinutes} minutes this month (${usage.monthlyMinutes.toFixed(1)} used)`;
+  }
+  // The upload is already on disk and counted once the job exists
+  if (usage.storageMb + bytes / (1024 * 1024) > quotas.storageMb) {
+    return `Storage quota of ${quotas.storageMb} MB exceeded (${usage.storageMb.toFixed(0)} MB used) — delete old jobs first`;
+  }
+  return null;
+}
+
+// ── Glossaries ──
+// Per-project term lists, mirrored to data/glossaries/<id>.json and owned
+// like jobs: only their creator (or an admin) sees or uses one. A term is
+// either kept as-is in every language ({ term, keep: true }) or forced to a
+// given rendering per target language ({ term, translations: { es: '...' } }).
+const GLOSSARIES_DIR = path.join(__dirname, 'data', 'glossaries');
+if (!fs.existsSync(GLOSSARIES_DIR)) fs.mkdirSync(GLOSSARIES_DIR, { recursive: true });
+
+const glossaries = new Map();
+const MAX_GLOSSARY_TERMS = 1000;
+
+function persistGlossary(glossary) {
+  const file = path.join(GLOSSARIES_DIR, `${glossary.id}.json`);
+  fs.writeFileSync(file + '.tmp', JSON.stringify(glossary, null, 2));
+  fs.renameSync(file + '.tmp', file);
+}
+
+function loadGlossaries() {
+  for (const name of fs.readdirSync(GLOSSARIES_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const glossary = JSON.parse(fs.readFileSync(path.join(GLOSSARIES_DIR, name), 'utf-8'));
+      glossaries.set(glossary.id, glossary);
+    } catch (err) {
+      console.warn('[Glossary] Skipping unreadable glossary file', name, err.message);
+    }
+  }
+  return glossaries.size;
+}
+
+/**
+ * Validate and normalize a term list from a request body. Throws on bad input.
+ */
+function normalizeTerms(terms) {
+  if (!Array.isArray(terms)) throw new Error('terms must be an array');
+  if (terms.length > MAX_GLOSSARY_TERMS) throw new Error(`A glossary holds at most ${MAX_GLOSSARY_TERMS} terms`);
+  return terms.map((t, i) => {
+    const term = typeof t === 'string' ? t.trim() : String(t?.term ?? '').trim();
+    if (!term || term.length > 200) throw new Error(`terms[${i}]: term must be 1–200 characters`);
+    const translations = {};
+    for (const [lang, text] of Object.entries(t?.translations || {})) {
+      if (!LANGUAGES[lang] || lang === 'auto') throw new Error(`terms[${i}]: unknown language ${lang}`);
+      if (typeof text !== 'string' || !text.trim()) throw new Error(`terms[${i}]: translation for ${lang} must be a non-empty string`);
+      translations[lang] = text.trim();
+    }
+    // A plain string, or a term without translations, is do-not-translate
+    const keep = typeof t === 'string' || !!t.keep || !Object.keys(translations).length;
+    return { term, keep, translations, caseSensitive: !!t?.case_sensitive || !!t?.caseSensitive };
+  });
+}
+
+/**
+ * The glossary's terms as they apply to one target language:
+ * [{ term, target, caseSensitive }], longest first so masking never splits a longer term.
+ */
+function glossaryEntries(glossaryId, toLang) {
+  const glossary = glossaryId && glossaries.get(glossaryId);
+  if (!glossary) return [];
+  return glossary.terms
+    .map(t => ({ term: t.term, target: t.translations[toLang] || (t.keep ? t.term : null), caseSensitive: t.caseSensitive }))
+    .filter(e => e.target)
+    .sort((a, b) => b.term.length - a.term.length);
+}
+
+function termPattern(entry, flags = 'g') {
+  const escaped = entry.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, flags + 'u' + (entry.caseSensitive ? '' : 'i'));
+}
+
+/**
+ * Swap glossary terms for placeholders the MT engine will pass through.
+ * Returns { text, slots } where slots[n] replaces placeholder n afterwards.
+ */
+function maskTerms(text, entries) {
+  const slots = [];
+  for (const entry of entries) {
+    text = text.replace(termPattern(entry), () => `__G${slots.push(entry.target) - 1}__`);
+  }
+  return { text, slots };
+}
+
+function unmaskTerms(text, slots) {
+  // Engines sometimes add spaces inside the placeholder or drop an underscore
+  return text.replace(/_{1,2}\s?G\s?(\d+)\s?_{1,2}/gi, (match, n) => slots[n] ?? match);
+}
+
+/**
+ * Segments where a glossary term in the source did not come out as required.
+ * Returns [{ segment, term, expected }].
+ */
+function glossaryIssues(segments, translated, entries) {
+  const issues = [];
+  segments.forEach((seg, i) => {
+    for (const entry of entries) {
+      if (!termPattern(entry, '').test(seg.text)) continue;
+      const honored = entry.caseSensitive
+        ? (translated[i] || '').includes(entry.target)
+        : (translated[i] || '').toLowerCase().includes(entry.target.toLowerCase());
+      if (!honored) issues.push({ segment: seg.id ?? i, term: entry.term, expected: entry.target });
+    }
+  });
+  return issues;
+}
+
+// ── Voice library ──
+// Saved voices a job can pick per target language, so a series keeps one
+// narrator across episodes. Mirrored to data/voices/<id>.json. A `clone`
+// voice is a reference clip (data/voices/<id>.wav) that cloning providers
+// speak with; a `stock` voice is one of a provider's own voices
+// ({ provider: 'elevenlabs', voiceId }). Both carry provider settings.
+const VOICES_DIR = path.join(__dirname, 'data', 'voices');
+if (!fs.existsSync(VOICES_DIR)) fs.mkdirSync(VOICES_DIR, { recursive: true });
+
+const voices = new Map();
+const VOICE_SETTINGS = {   // name → [min, max]
+  stability: [0, 1],
+  similarity_boost: [0, 1],
+  style: [0, 1],
+  speed: [0.7, 1.2]        // speaking rate, before clips are fitted to their slots
+};
+const VOICE_REFERENCE_SECONDS = { min: 3, max: 60 };
+
+function persistVoice(voice) {
+  const file = path.join(VOICES_DIR, `${voice.id}.json`);
+  fs.writeFileSync(file + '.tmp', JSON.stringify(voice, null, 2));
+  fs.renameSync(file + '.tmp', file);
+}
+
+function loadVoices() {
+  for (const name of fs.readdirSync(VOICES_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const voice = JSON.parse(fs.readFileSync(path.join(VOICES_DIR, name), 'utf-8'));
+      voices.set(voice.id, voice);
+    } catch (err) {
+      console.warn('[Voices] Skipping unreadable voice file', name, err.message);
+    }
+  }
+  return voices.size;
+}
+
+function voiceClipPath(voice) {
+  return path.join(VOICES_DIR, `${voice.id}.wav`);
+}
+
+/**
+ * Validate voice settings from a request: an object, or a JSON string from
+ * a form field. Throws on bad input.
+ */
+function normalizeVoiceSettings(settings) {
+  if (settings === undefined || settings === null || settings === '') return {};
+  let parsed = settings;
+  if (typeof settings === 'string') {
+    try { parsed = JSON.parse(settings); } catch { throw new Error('settings must be a JSON object'); }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('settings must be an object');
+  const out = {};
+  for (const [name, value] of Object.entries(parsed)) {
+    const range = VOICE_SETTINGS[name];
+    if (!range) throw new Error(`Unknown voice setting ${name} (use ${Object.keys(VOICE_SETTINGS).join(', ')})`);
+    const n = parseFloat(value);
+    if (isNaN(n) || n < range[0] || n > range[1]) throw new Error(`${name} must be between ${range[0]} and ${range[1]}`);
+    out[name] = n;
+  }
+  return out;
+}
+
+/**
+ * A job's voice for one language — a library voice id, or
+ * `<provider>:<voice id>` for a stock voice not saved in the library —
+ * as { id, kind, reference, provider, voiceId, settings }. Null if unknown.
+ */
+function resolveVoice(spec) {
+  if (!spec) return null;
+  const saved = voices.get(spec);
+  if (saved) {
+    return {
+      id: saved.id, kind: saved.kind, reference: saved.kind === 'clone' ? voiceClipPath(saved) : null,
+      provider: saved.provider || null, voiceId: saved.voiceId || null, settings: saved.settings
+    };
+  }
+  const [provider, ...rest] = spec.split(':');
+  if (!rest.length || !providers.tts.get(provider)?.listVoices) return null;
+  return { id: spec, kind: 'stock', reference: null, provider, voiceId: rest.join(':'), settings: {} };
+}
+
+/**
+ * Voice choices of a dub request: `voice` for every target, `voice_<lang>`
+ * for one. Throws a requestError for voices the user can't use.
+ */
+function parseVoiceChoices(fields, targets, user) {
+  const chosen = {};
+  for (const lang of targets) {
+    const spec = fields[`voice_${lang}`] || fields.voice;
+    if (!spec) continue;
+    const voice = resolveVoice(String(spec));
+    if (!voice || (voices.has(voice.id) && !canAccess(user, voices.get(voice.id)))) {
+      throw requestError(`Unknown voice for ${lang}: ${spec} (a saved voice id, or provider:voice_id for a stock voice)`);
+    }
+    chosen[lang] = voice.id;
+  }
+  return chosen;
+}
+
+/**
+ * Copy an uploaded clip into the library as 22.05 kHz mono WAV, at most
+ * VOICE_REFERENCE_SECONDS.max long. Throws if it is too short to clone from.
+ */
+async function importVoiceClip(filePath, outPath) {
+  await runFfmpeg(['-i', filePath, '-vn', '-ac', '1', '-ar', '22050', '-t', String(VOICE_REFERENCE_SECONDS.max), '-y', outPath],
+    null, 'Voice reference import');
+  const { duration } = await probeMedia(outPath);
+  if (!(duration >= VOICE_REFERENCE_SECONDS.min)) {
+    fs.unlink(outPath, () => {});
+    throw new Error(`A reference clip needs at least ${VOICE_REFERENCE_SECONDS.min}s of speech (got ${(duration || 0).toFixed(1)}s)`);
+  }
+  return +duration.toFixed(2);
+}
+
+// ── Media helpers ──
+
+/**
+ * Run ffmpeg for a job and resolve once it exits cleanly. Without a jobId
+ * it runs untracked (requests that are not jobs, like a voice import).
+ */
+function runFfmpeg(args, jobId, label = 'ffmpeg', { duration, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const progressArgs = onProgress ? ['-progress', 'pipe:1', '-nostats'] : [];
+    const fullArgs = ['-hide_banner', '-loglevel', 'error', ...progressArgs, ...args];
+    const proc = jobId ? spawnTracked(jobId, 'ffmpeg', fullArgs) : spawn('ffmpeg', fullArgs);
+    let stderr = '';
+    proc.stderr.on('data', d => stderr += d.toString());
+    pipeProcessLogs(jobId, proc, 'ffmpeg', onProgress ? ffmpegProgress(duration, onProgress) : undefined);
+    proc.on('close', code => {
+      code === 0 ? resolve() : reject(new Error(`${label} failed (code ${code})${stderr ? ': ' + stderr.trim().split('\n').pop() : ''}`));
+    });
+    proc.on('error', () => reject(new Error('ffmpeg not found — please install ffmpeg')));
+  });
+}
+
+/**
+ * Media duration in seconds, via ffprobe
+ */
+function probeDuration(filePath, jobId) {
+  return new Promise((resolve, reject) => {
+    const proc = spawnTracked(jobId, 'ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      filePath
+    ]);
+    let out = '';
+    proc.stdout.on('data', d => out += d.toString());
+    proc.on('close', code => {
+      const duration = parseFloat(out);
+      code === 0 && Number.isFinite(duration) ? resolve(duration) : reject(new Error(`ffprobe could not read duration of ${path.basename(filePath)}`));
+    });
+    proc.on('error', () => reject(new Error('ffprobe not found — please install ffmpeg')));
+  });
+}
+
+/**
+ * Inspect a media file with ffprobe: duration, size, container, the first
+ * video and audio streams, and every stream's type and codec. Width and
+ * height are as displayed, i.e. after any rotation. Without a jobId the
+ * probe runs untracked (at upload, before a job exists).
+ */
+function probeMedia(filePath, jobId = null) {
+  return new Promise((resolve, reject) => {
+    const args = ['-v', 'error', '-show_format', '-show_streams', '-of', 'json', filePath];
+    const proc = jobId ? spawnTracked(jobId, 'ffprobe', args) : spawn('ffprobe', args);
+    let out = '';
+    let stderr = '';
+    proc.stdout.on('data', d => out += d.toString());
+    proc.stderr.on('data', d => stderr += d.toString());
+    proc.on('close', code => {
+      let info = null;
+      try { info = code === 0 && JSON.parse(out); } catch {}
+      if (!info?.format) {
+        const reason = stderr.trim().split('\n').pop();
+        return reject(new Error(`Could not read ${path.basename(filePath)} as media${reason ? ': ' + reason : ''}`));
+      }
+      resolve(summarizeProbe(info));
+    });
+    proc.on('error', () => reject(new Error('ffprobe not found — please install ffmpeg')));
+  });
+}
+
+function summarizeProbe({ format, streams = [] }) {
+  const video = streams.find(s => s.codec_type === 'video' && !s.disposition?.attached_pic);
+  const audio = streams.find(s => s.codec_type === 'audio');
+  let videoInfo = null;
+  if (video) {
+    const rotation = Math.abs(parseInt(video.tags?.rotate ?? video.side_data_list?.find(d => d.rotation != null)?.rotation ?? 0, 10)) % 180;
+    const avg = parseRate(video.avg_frame_rate);
+    const nominal = parseRate(video.r_frame_rate);
+    const frameRate = avg ? video.avg_frame_rate : video.r_frame_rate;
+    videoInfo = {
+      codec: video.codec_name,
+      width:  rotation === 90 ? video.height : video.width,
+      height: rotation === 90 ? video.width : video.height,
+      fps: Math.round((avg || nominal || 0) * 1000) / 1000 || null,
+      frameRate: parseRate(frameRate) ? frameRate : null,
+      // A container rate that disagrees with the average means frames are not evenly spaced
+      variableFrameRate: !!(avg && nominal && Math.abs(avg - nominal) / nominal > 0.02),
+      pixelFormat: video.pix_fmt || null
+    };
+  }
+  const duration = parseFloat(format.duration);
+  return {
+    duration: Number.isFinite(duration) ? duration : null,
+    size: parseInt(format.size, 10) || null,
+    container: format.format_name,
+    video: videoInfo,
+    audio: audio ? {
+      codec: audio.codec_name,
+      channels: audio.channels,
+      sampleRate: parseInt(audio.sample_rate, 10) || null
+    } : null,
+    streams: streams.map(s => ({ index: s.index, type: s.codec_type, codec: s.codec_name }))
+  };
+}
+
+/** "30000/1001" → 29.97; null for "0/0" or garbage */
+function parseRate(rate) {
+  const [num, den = 1] = String(rate || '').split('/').map(Number);
+  return num > 0 && den > 0 ? num / den : null;
+}
+
+/**
+ * Reasons an upload cannot be dubbed, given its probe. Empty if it is fine.
+ */
+function mediaProblems(media) {
+  const problems = [];
+  if (!media.video) problems.push('no video stream');
+  if (!media.audio) problems.push('no audio stream — the dub needs source speech to work from');
+  if (media.duration == null) problems.push('unknown duration');
+  else if (media.duration > MEDIA_LIMITS.seconds) {
+    problems.push(`duration ${Math.round(media.duration)}s exceeds the ${MEDIA_LIMITS.seconds}s limit`);
+  }
+  if (media.video?.width && media.video?.height) {
+    const [maxLong, maxShort] = [...MEDIA_LIMITS.resolution].sort((a, b) => b - a);
+    const [long, short] = [media.video.width, media.video.height].sort((a, b) => b - a);
+    if (long > maxLong || short > maxShort) {
+      problems.push(`resolution ${media.video.width}x${media.video.height} exceeds the ${MEDIA_LIMITS.resolution.join('x')} limit`);
+    }
+  }
+  return problems;
+}
+
+// ── Provider registry ──
+// Each swappable stage (asr, translate, tts, lipsync) keeps a registry of
+// providers: { id, name, description, tags, available(), degraded?, ...stage methods }.
+// A job may ask for one by id; the rest are tried in the fallback order,
+// which <STAGE>_PROVIDERS (e.g. TTS_PROVIDERS=elevenlabs,xtts) overrides.
+// `degraded` providers (mock output, audio-only merge) are last resorts that
+// get reported as such, and are never used for strict jobs.
+const PROVIDER_STAGES = ['asr', 'translate', 'tts', 'lipsync'];
+const providers = Object.fromEntries(PROVIDER_STAGES.map(stage => [stage, new Map()]));
+
+function registerProvider(stage, provider) {
+  providers[stage].set(provider.id, provider);
+}
+
+function providerOrder(stage) {
+  const configured = (process.env[`${stage.toUpperCase()}_PROVIDERS`] || '')
+    .split(',').map(id => id.trim()).filter(id => providers[stage].has(id));
+  return configured.length ? configured : Array.from(providers[stage].keys());
+}
+
+/**
+ * Providers to try for a stage: the requested one first, then the fallback
+ * order, leaving out any that are not available right now.
+ */
+function candidateProviders(stage, preferred) {
+  const ids = [...new Set([preferred, ...providerOrder(stage)].filter(Boolean))];
+  return ids.map(id => providers[stage].get(id)).filter(p => p && p.available());
+}
+
+/**
+ * Call `fn(provider)` with each candidate until one succeeds.
+ * Resolves { result, provider, failures } with the id of the provider that
+ * ran. With `reportAs` (a runStage name) the outcome is recorded on the job.
+ */
+async function runWithProviders(stage, preferred, jobId, fn, reportAs = null) {
+  const strict = !!jobs.get(jobId)?.meta?.strict;
+  const candidates = candidateProviders(stage, preferred).filter(p => !(strict && p.degraded));
+  const errors = [];
+  if (preferred && !candidates.some(p => p.id === preferred)) {
+    console.warn(`[Providers] Requested ${stage} provider "${preferred}" is not available — using fallbacks`);
+    jobLog(jobId, 'warn', stage, `Requested provider "${preferred}" is not available — using fallbacks`);
+    errors.push(`${preferred}: not available`);
+  }
+
+  for (const provider of candidates) {
+    throwIfCancelled(jobId);
+    let result;
+    try {
+      result = await fn(provider);
+    } catch (err) {
+      throwIfCancelled(jobId);
+      console.warn(`[${provider.name}] Failed:`, err.message);
+      jobLog(jobId, 'warn', stage, `${provider.name} failed: ${err.message}`);
+      errors.push(`${provider.id}: ${err.message}`);
+      continue;
+    }
+    if (reportAs) {
+      reportStage(jobId, reportAs, provider.degraded
+        ? { provider: provider.id, degraded: true, reason: errors.join('; ') || `no other ${stage} provider available` }
+        : { provider: provider.id, failures: errors });
+    }
+    return { result, provider: provider.id, failures: errors };
+  }
+  throw new Error(`No ${stage} provider succeeded (${errors.join('; ') || 'none available'}${strict ? '; fallbacks are disabled in strict mode' : ''})`);
+}
+
+function describeProviders(stage) {
+  const order = providerOrder(stage);
+  return Array.from(providers[stage].values()).map(p => ({
+    id: p.id,
+    name: p.name,
+    description: p.description,
+    tags: p.tags || [],
+    available: p.available(),
+    degraded: !!p.degraded,
+    fallback_rank: order.includes(p.id) ? order.indexOf(p.id) + 1 : null
+  }));
+}
+
+// Python module checks are slow, so each is run once per process
+const pythonModules = new Map();
+
+function pythonHas(module) {
+  if (!pythonModules.has(module)) {
+    let ok = false;
+    try { execSync(`python3 -c "import ${module}"`, { stdio: 'ignore', timeout: 20000 }); ok = true; } catch {}
+    pythonModules.set(module, ok);
+  }
+  return pythonModules.get(module);
+}
+
+let ffmpegInstalled = null;
+
+function ffmpegHas() {
+  if (ffmpegInstalled === null) {
+    try { execSync('ffmpeg -version', { stdio: 'ignore', timeout: 10000 }); ffmpegInstalled = true; } catch { ffmpegInstalled = false; }
+  }
+  return ffmpegInstalled;
+}
+
+// ── Stage cache ──
+// Content-addressed results, so re-dubbing a video with another voice or
+// quality only redoes the stages whose inputs changed. A key hashes the
+// source file's contents with the stage's parameters; each entry is
+// cache/<kind>/<key>/ holding entry.json and copies of any temp files the
+// result points to. Translations and TTS clips are cached per segment.
+// Degraded results (mock transcript, fallback audio) are never stored.
+const CACHE_DIR = path.join(__dirname, 'cache');
+const CACHE_CONFIG = {
+  enabled: process.env.STAGE_CACHE !== 'false',
+  version: 1   // bump when a stage's output changes shape
+};
+const CACHE_JOB_TOKEN = '{job}';
+
+const cacheStats = {};   // kind → { hits, misses, stores } since startup
+const fileHashes = new Map();
+
+function countCache(kind, outcome) {
+  cacheStats[kind] = cacheStats[kind] || { hits: 0, misses: 0, stores: 0 };
+  cacheStats[kind][outcome]++;
+}
+
+/**
+ * sha256 of a file's contents, remembered while its size and mtime hold
+ */
+async function hashFile(file) {
+  const { size, mtimeMs } = fs.statSync(file);
+  const id = `${file}:${size}:${mtimeMs}`;
+  if (!fileHashes.has(id)) {
+    const hash = crypto.createHash('sha256');
+    for await (const data of fs.createReadStream(file)) hash.update(data);
+    if (fileHashes.size > 1000) fileHashes.clear();
+    fileHashes.set(id, hash.digest('hex'));
+  }
+  return fileHashes.get(id);
+}
+
+function cacheKey(kind, params) {
+  return crypto.createHash('sha256').update(JSON.stringify({ v: CACHE_CONFIG.version, kind, ...params })).digest('hex').slice(0, 40);
+}
+
+/**
+ * An entry's entry.json, or null. A hit marks the entry as recently used.
+ */
+function cacheRead(kind, key) {
+  const file = path.join(CACHE_DIR, kind, key, 'entry.json');
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    countCache(kind, 'hits');
+    return entry;
+  } catch {
+    countCache(kind, 'misses');
+    return null;
+  }
+}
+
+/**
+ * Store an entry; `files` maps names inside the entry to the paths to copy.
+ * Written to a temporary directory first, so readers never see half an entry.
+ */
+function cacheWrite(kind, key, entry, files = {}) {
+  const dir = path.join(CACHE_DIR, kind, key);
+  const staging = `${dir}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    fs.mkdirSync(staging, { recursive: true });
+    for (const [name, from] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(staging, name)), { recursive: true });
+      fs.cpSync(from, path.join(staging, name), { recursive: true });
+    }
+    fs.writeFileSync(path.join(staging, 'entry.json'), JSON.stringify({ ...entry, kind, key, createdAt: Date.now() }));
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.renameSync(staging, dir);
+    countCache(kind, 'stores');
+  } catch (err) {
+    console.warn(`[Cache] Could not store ${kind} ${key}:`, err.message);
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+}
+
+/** Copy of a JSON value with every string passed through `fn` */
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(v => mapStrings(v, fn));
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+  return value;
+}
+
+/**
+ * Run a whole stage through the cache. `params` (with the source hash) make
+ * up the key. Temp files of this job named in the result are stored with
+ * the entry and restored under the new job's id on a hit, along with the
+ * stage reports and warnings the original run made.
+ */
+async function cachedStage(jobId, kind, params, fn) {
+  if (!CACHE_CONFIG.enabled || !params.source) return fn();
+  const tempDir = path.join(__dirname, 'temp');
+  const key = cacheKey(kind, params);
+  const hit = cacheRead(kind, key);
+  if (hit) {
+    const restore = name => path.join(tempDir, name.split(CACHE_JOB_TOKEN).join(jobId));
+    try {
+      for (const name of hit.files) {
+        fs.mkdirSync(path.dirname(restore(name)), { recursive: true });
+        fs.cpSync(path.join(CACHE_DIR, kind, key, name), restore(name), { recursive: true });
+      }
+      const job = jobs.get(jobId);
+      Object.entries(hit.reports).forEach(([stage, report]) => {
+        job.stageReports[stage] = { ...report, cached: true, at: Date.now() };
+      });
+      // The original run's warnings come back with it, replacing any earlier ones for these stages
+      const warnings = hit.warnings || [];
+      job.warnings = job.warnings.filter(w => !hit.reports[w.stage]);
+      job.warnings.push(...warnings.map(w => ({ ...w, at: Date.now() })));
+      persistJob(job);
+      jobLog(jobId, 'info', kind, `Reused cached ${kind} result`);
+      warnings.forEach(w => jobLog(jobId, 'warn', w.stage, w.message));
+      return mapStrings(hit.result, s => s.startsWith(`${CACHE_JOB_TOKEN}/`) ? restore(s.slice(CACHE_JOB_TOKEN.length + 1)) : s);
+    } catch (err) {
+      console.warn(`[Cache] Could not restore ${kind} ${key}, running the stage:`, err.message);
+    }
+  }
+
+  const started = Date.now();
+  const result = await fn();
+  const reports = Object.fromEntries(Object.entries(jobs.get(jobId)?.stageReports || {}).filter(([, r]) => r.at >= started));
+  if (result == null || Object.values(reports).some(r => r.degraded)) return result;
+  const warnings = (jobs.get(jobId)?.warnings || [])
+    .filter(w => reports[w.stage] && w.at >= started)
+    .map(({ stage, message }) => ({ stage, message }));
+
+  const files = {};
+  const stored = mapStrings(result, s => {
+    if (!s.startsWith(path.join(tempDir, jobId)) || !fs.existsSync(s)) return s;
+    const name = path.relative(tempDir, s).split(jobId).join(CACHE_JOB_TOKEN);
+    files[name] = s;
+    return `${CACHE_JOB_TOKEN}/${name}`;
+  });
+  cacheWrite(kind, key, { source: params.source, result: stored, files: Object.keys(files), reports, warnings }, files);
+  return result;
+}
+
+/**
+ * Hash of a job's source video, worked out once and kept in its meta
+ */
+async function sourceHash(jobId, videoPath) {
+  const job = jobs.get(jobId);
+  if (!job.meta.sourceHash) updateJob(jobId, { meta: { ...job.meta, sourceHash: await hashFile(videoPath) } });
+  return jobs.get(jobId).meta.sourceHash;
+}
+
+/**
+ * Every entry on disk: { kind, key, dir, source, usedAt }
+ */
+function cacheEntries() {
+  if (!fs.existsSync(CACHE_DIR)) return [];
+  return fs.readdirSync(CACHE_DIR).flatMap(kind => {
+    const kindDir = path.join(CACHE_DIR, kind);
+    if (!fs.statSync(kindDir).isDirectory()) return [];
+    // Staging directories left by a crash have no entry.json and sort first
+    return fs.readdirSync(kindDir).map(key => {
+      const dir = path.join(kindDir, key);
+      try {
+        const file = path.join(dir, 'entry.json');
+        return { kind, key, dir, source: JSON.parse(fs.readFileSync(file, 'utf-8')).source || null, usedAt: fs.statSync(file).mtimeMs };
+      } catch {
+        return { kind, key, dir, source: null, usedAt: 0 };
+      }
+    });
+  });
+}
+
+/**
+ * Drop entries of one kind and/or one source hash (all of them with neither)
+ */
+function invalidateCache({ kind = null, source = null } = {}) {
+  const doomed = cacheEntries().filter(e => (!kind || e.kind === kind) && (!source || e.source === source));
+  doomed.forEach(e => fs.rmSync(e.dir, { recursive: true, force: true }));
+  if (doomed.length) console.log(`[Cache] Invalidated ${doomed.length} entr${doomed.length === 1 ? 'y' : 'ies'}${kind ? ` of ${kind}` : ''}${source ? ` for source ${source.slice(0, 12)}` : ''}`);
+  return doomed.length;
+}
+
+// ══════════════════════════════════════
+// ── PIPELINE STEPS ──
+// ══════════════════════════════════════
+
+/**
+ * Step 1 — Extract audio from video using ffmpeg
+ */
+async function extractAudio(videoPath, jobId) {
+  const audioPath = path.join(__dirname, 'temp', `${jobId}_audio.wav`);
+  updateJob(jobId, { stage: 'pill-extract', progress: 8, message: 'Extracting audio from video...' });
+
+  return new Promise((resolve, reject) => {
+    const proc = spawnTracked(jobId, 'ffmpeg', [
+      '-hide_banner', '-loglevel', 'error', '-progress', 'pipe:1', '-nostats',
+      '-i', videoPath,
+      '-vn', '-acodec', 'pcm_s16le',
+      '-ar', '16000', '-ac', '1',
+      '-y', audioPath
+    ]);
+    pipeProcessLogs(jobId, proc, 'ffmpeg', ffmpegProgress(mediaDuration(jobId), progressBand(jobId, null, 8, 15)));
+
+    proc.on('close', code => {
+      if (code === 0) {
+        updateJob(jobId, { progress: 15 });
+        resolve(audioPath);
+      } else {
+        reject(new Error(`ffmpeg audio extraction failed (code ${code})`));
+      }
+    });
+
+    proc.on('error', () => reject(new Error('ffmpeg not found — please install ffmpeg')));
+  });
+}
+
+/**
+ * Step 1b — Separate vocals from background (music, ambience, effects)
+ * Requires: pip install demucs
+ *
+ * Works on a full-band stereo copy of the soundtrack, since the 16 kHz mono
+ * extract used for ASR is too lossy to mix back under the dub.
+ * Resolves { vocals, background } — both null if Demucs is unavailable.
+ */
+async function separateAudio(videoPath, jobId) {
+  updateJob(jobId, { stage: 'pill-extract', progress: 12, message: 'Separating vocals from background audio...' });
+  const sourcePath = path.join(__dirname, 'temp', `${jobId}_source.wav`);
+  const outDir = path.join(__dirname, 'temp', `${jobId}_separated`);
+  const model = process.env.SEPARATION_MODEL || 'htdemucs';
+
+  await runFfmpeg(['-i', videoPath, '-vn', '-acodec', 'pcm_s16le', '-ar', '44100', '-ac', '2', '-y', sourcePath],
+    jobId, 'Full-band audio extraction');
+
+  const { reason, ...stems } = await new Promise(resolve => {
+    const proc = spawnTracked(jobId, 'python3', [
+      '-m', 'demucs.separate',
+      '--two-stems', 'vocals',
+      '-n', model,
+      '-o', outDir,
+      sourcePath
+    ]);
+    pipeProcessLogs(jobId, proc, 'demucs', tqdmProgress(progressBand(jobId, null, 12, 15)));
+
+    proc.on('close', code => {
+      const stemDir = path.join(outDir, model, path.basename(sourcePath, '.wav'));
+      const vocals = path.join(stemDir, 'vocals.wav');
+      const background = path.join(stemDir, 'no_vocals.wav');
+      if (code === 0 && fs.existsSync(background)) {
+        updateJob(jobId, { progress: 15 });
+        resolve({ vocals, background });
+      } else {
+        console.warn(`[Demucs] Separation failed (code ${code}) — background audio will not be kept`);
+        resolve({ vocals: null, background: null, reason: `demucs exited with code ${code}` });
+      }
+    });
+
+    proc.on('error', () => {
+      console.warn('[Demucs] Not installed — background audio will not be kept');
+      resolve({ vocals: null, background: null, reason: 'python3 not found' });
+    });
+  });
+
+  reportStage(jobId, 'separation', stems.background
+    ? { provider: 'demucs' }
+    : { provider: 'none', degraded: true, reason: `${reason} — background audio dropped` });
+  return stems;
+}
+
+/** Probed video stream of a job's source, if known */
+function sourceVideo(jobId) {
+  return jobs.get(jobId)?.meta.media?.video || null;
+}
+
+/** libx264 with yuv420p needs even dimensions */
+function even(n) {
+  return Math.max(2, Math.round(n / 2) * 2);
+}
+
+/**
+ * Step 2 — Extract video frames (for face detection)
+ * Resolves null, as a degraded stage, when ffmpeg can't; face detection is
+ * then skipped and lip sync covers the whole clip.
+ */
+async function extractFrames(videoPath, jobId) {
+  const framesDir = path.join(__dirname, 'temp', `${jobId}_frames`);
+  if (!fs.existsSync(framesDir)) fs.mkdirSync(framesDir);
+
+  updateJob(jobId, { stage: 'pill-extract', progress: 18, message: 'Extracting video frames...' });
+
+  try {
+    await runFrameExtraction(videoPath, framesDir, jobId);
+    reportStage(jobId, 'frames', { provider: 'ffmpeg' });
+    return framesDir;
+  } catch (err) {
+    throwIfCancelled(jobId);
+    console.warn('[Frames] Extraction failed — skipping face detection:', err.message);
+    reportStage(jobId, 'frames', { provider: 'none', degraded: true, reason: err.message });
+    return null;
+  }
+}
+
+function runFrameExtraction(videoPath, framesDir, jobId) {
+  return new Promise((resolve, reject) => {
+    const proc = spawnTracked(jobId, 'ffmpeg', [
+      '-hide_banner', '-loglevel', 'error', '-progress', 'pipe:1', '-nostats',
+      '-i', videoPath,
+      '-vf', `fps=${sourceVideo(jobId)?.frameRate || 25}`,
+      '-q:v', '2',
+      path.join(framesDir, 'frame_%05d.jpg'),
+      '-y'
+    ]);
+    pipeProcessLogs(jobId, proc, 'ffmpeg', ffmpegProgress(mediaDuration(jobId), progressBand(jobId, null, 18, 26)));
+
+    proc.on('close', code => {
+      code === 0 ? resolve() : reject(new Error(`Frame extraction failed (code ${code})`));
+    });
+
+    proc.on('error', () => reject(new Error('ffmpeg not found')));
+  });
+}
+
+/**
+ * Step 2b — Split the extracted frames into shots and find the faces in
+ * each, so lip sync only touches shots where someone on screen is talking.
+ * Resolves null when the preflight can't run; lip sync then covers the
+ * whole clip as before.
+ */
+async function detectFaces(framesDir, jobId) {
+  updateJob(jobId, { stage: 'pill-extract', progress: 26, message: 'Finding shots and faces...' });
+  const outPath = path.join(__dirname, 'temp', `${jobId}_shots.json`);
+  const fps = parseRate(sourceVideo(jobId)?.frameRate) || 25;
+
+  try {
+    const preflight = await new Promise((resolve, reject) => {
+      const proc = spawnTracked(jobId, 'python3', [path.join(__dirname, 'scripts', 'faces.py'), framesDir, outPath, String(fps)]);
+      let stderr = '';
+      proc.stderr.on('data', d => stderr += d.toString());
+      pipeProcessLogs(jobId, proc, 'faces', tqdmProgress(progressBand(jobId, null, 26, 28)));
+      proc.on('close', code => {
+        if (code !== 0) return reject(new Error(stderr.trim().split('\n').pop() || `exit code ${code}`));
+        try {
+          resolve(JSON.parse(fs.readFileSync(outPath, 'utf-8')));
+        } catch (err) {
+          reject(err);
+        }
+      });
+      proc.on('error', () => reject(new Error('python3 not found')));
+    });
+    const withFaces = preflight.shots.filter(s => s.face_coverage > 0).length;
+    console.log(`[Faces] ${preflight.shots.length} shot(s), ${withFaces} with a face`);
+    reportStage(jobId, 'faces', { provider: 'opencv' });
+    return preflight;
+  } catch (err) {
+    throwIfCancelled(jobId);
+    console.warn('[Faces] Preflight unavailable — lip sync will cover the whole clip:', err.message);
+    reportStage(jobId, 'faces', { provider: 'none', degraded: true, reason: err.message });
+    return null;
+  }
+}
+
+// Long inputs are cut into chunks that go through transcription, TTS and lip
+// sync on their own (in parallel, up to the stage limits) and are joined
+// again in finalRender. Each chunk is a separate stage, so a failed chunk is
+// retried, or resumed, without redoing the others.
+const CHUNK_CONFIG = {
+  threshold: parseFloat(process.env.CHUNK_THRESHOLD_SECONDS) || 900,   // only inputs longer than this
+  target: parseFloat(process.env.CHUNK_SECONDS) || 300,                // aim for chunks about this long
+  retries: Number.isInteger(parseInt(process.env.CHUNK_RETRIES, 10)) ? parseInt(process.env.CHUNK_RETRIES, 10) : 1
+};
+
+/** Stage name for one chunk of a stage: `dubbed:es` → `dubbed:es#3` */
+function chunkStage(stage, chunk) {
+  return chunk ? `${stage}#${chunk.index}` : stage;
+}
+
+/**
+ * Step 2c — Plan chunks for a long input. Cuts go at the pause (or failing
+ * that, the shot change) nearest each CHUNK_SECONDS mark, never inside an
+ * imported transcript line, and on a frame boundary so the pictures join
+ * without gaps. Each chunk's audio and video are cut out once, up front.
+ * Resolves null for inputs short enough to run in one piece.
+ */
+async function planChunks(jobId, videoPath, audioPath, { faces, avoid = [] } = {}) {
+  const duration = mediaDuration(jobId) || await probeDuration(audioPath, jobId);
+  if (duration <= CHUNK_CONFIG.threshold) return null;
+
+  updateJob(jobId, { stage: 'pill-extract', message: 'Planning chunks for a long video...' });
+  const fps = parseRate(sourceVideo(jobId)?.frameRate) || 25;
+  const snap = t => Math.round(t * fps) / fps;
+  const inside = t => avoid.find(s => s.start < t && t < s.end);
+  const pauses = (await detectSilences(audioPath, jobId)).map(s => (s.start + s.end) / 2);
+  const shotChanges = (faces?.shots || []).slice(1).map(s => s.start);
+  const window = CHUNK_CONFIG.target / 5;
+
+  const cuts = [];
+  let start = 0;
+  while (duration - start > CHUNK_CONFIG.target * 1.5) {
+    const ideal = start + CHUNK_CONFIG.target;
+    const nearest = list => list
+      .filter(t => Math.abs(t - ideal) <= window && !inside(t))
+      .sort((a, b) => Math.abs(a - ideal) - Math.abs(b - ideal))[0];
+    const cut = snap(nearest(pauses) ?? nearest(shotChanges) ?? (inside(ideal)?.end || ideal));
+    cuts.push(cut);
+    start = cut;
+  }
+
+  const chunks = [0, ...cuts].map((from, index) => ({ index, start: from, end: cuts[index] ?? duration }));
+  console.log(`[Chunks] ${jobId} — ${chunks.length} chunks of ~${CHUNK_CONFIG.target}s`);
+  jobLog(jobId, 'info', 'chunks', `Split into ${chunks.length} chunks at ${cuts.map(c => c.toFixed(2) + 's').join(', ')}`);
+
+  for (const chunk of chunks) {
+    throwIfCancelled(jobId);
+    updateJob(jobId, { message: `Cutting chunk ${chunk.index + 1}/${chunks.length}...` });
+    const base = path.join(__dirname, 'temp', `${jobId}_chunk${chunk.index}`);
+    const span = ['-ss', chunk.start.toFixed(3), '-t', (chunk.end - chunk.start).toFixed(3)];
+    await runFfmpeg([...span, '-i', audioPath, '-y', `${base}.wav`], jobId, 'Chunk audio cut');
+    await runFfmpeg([
+      ...span, '-i', videoPath,
+      '-an', '-c:v', 'libx264', '-preset', 'fast', '-crf', '18', '-pix_fmt', 'yuv420p', '-y', `${base}.mp4`
+    ], jobId, 'Chunk video cut');
+    Object.assign(chunk, { audio: `${base}.wav`, video: `${base}.mp4` });
+  }
+  return { duration, chunks };
+}
+
+/**
+ * Pauses in a track as [{ start, end }], via ffmpeg's silencedetect
+ */
+function detectSilences(audioPath, jobId) {
+  return new Promise((resolve, reject) => {
+    const proc = spawnTracked(jobId, 'ffmpeg', [
+      '-hide_banner', '-nostats', '-i', audioPath, '-af', 'silencedetect=noise=-35dB:d=0.4', '-f', 'null', '-'
+    ]);
+    const silences = [];
+    let open = null;
+    pipeProcessLogs(jobId, proc, 'ffmpeg', line => {
+      const start = line.match(/silence_start: ([\d.]+)/);
+      const end = line.match(/silence_end: ([\d.]+)/);
+      if (start) open = Number(start[1]);
+      if (end && open != null) {
+        silences.push({ start: open, end: Number(end[1]) });
+        open = null;
+      }
+      return true;
+    });
+    proc.on('close', code => code === 0 ? resolve(silences) : reject(new Error(`Silence detection failed (code ${code})`)));
+    proc.on('error', () => reject(new Error('ffmpeg not found')));
+  });
+}
+
+/**
+ * Run `fn(chunk)` for every chunk at once (stage limiters do the pacing),
+ * retrying a failed chunk up to CHUNK_RETRIES times on its own. Waits for
+ * all of them, so finished chunks are kept for a resume, before failing.
+ */
+async function runChunks(jobId, chunks, label, fn) {
+  const results = await Promise.allSettled(chunks.map(async chunk => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(chunk);
+      } catch (err) {
+        throwIfCancelled(jobId);
+        if (attempt >= CHUNK_CONFIG.retries) throw err;
+        console.warn(`[Chunks] ${label} chunk ${chunk.index + 1} failed, retrying:`, err.message);
+        jobLog(jobId, 'warn', 'chunks', `${label} chunk ${chunk.index + 1} failed (${err.message}) — retrying`);
+      }
+    }
+  }));
+  throwIfCancelled(jobId);
+  const failed = results.map((r, i) => r.status === 'rejected' && `${i + 1}: ${r.reason.message}`).filter(Boolean);
+  if (failed.length) throw new Error(`${label} failed for ${failed.length} of ${chunks.length} chunks (${failed.join('; ')})`);
+  return results.map(r => r.value);
+}
+
+/**
+ * Step 3, chunked — transcribe each chunk and join the transcripts on the
+ * source timeline. With auto-detect, the first chunk fixes the language
+ * for the rest.
+ */
+async function transcribeChunks(plan, langCode, jobId, preferred) {
+  updateJob(jobId, { stage: 'pill-transcribe', progress: 28, message: `Transcribing ${plan.chunks.length} chunks...` });
+  let lang = langCode;
+  let done = 0;
+  const transcribe = chunk => runStage(jobId, chunkStage('transcript', chunk),
+    () => stageLimiters.transcribe.run(
+      () => transcribeAudio(chunk.audio, lang, jobId, preferred, chunk),
+      pos => updateJob(jobId, { message: `Waiting for a transcription slot (#${pos})...` }),
+      jobSignal(jobId)
+    ), path.join(__dirname, 'temp', `${jobId}_chunk${chunk.index}_transcript.json`))
+    .then(result => {
+      updateJob(jobId, { progress: 28 + Math.round(12 * ++done / plan.chunks.length) });
+      return result;
+    });
+
+  const [first, ...rest] = plan.chunks;
+  const head = lang === 'auto' ? await runChunks(jobId, [first], 'Transcription', transcribe) : [];
+  if (head.length) lang = head[0].language || lang;
+  const parts = [...head, ...await runChunks(jobId, head.length ? rest : plan.chunks, 'Transcription', transcribe)];
+
+  const segments = parts.flatMap((part, i) => {
+    const { start, end } = plan.chunks[i];
+    return transcriptSegments(part).map(s => ({
+      ...s, start: +Math.min(s.start + start, end).toFixed(3), end: +Math.min(s.end + start, end).toFixed(3)
+    }));
+  }).filter(s => s.end > s.start).map((s, id) => ({ ...s, id }));
+  return {
+    text: segments.map(s => s.text.trim()).join(' '),
+    segments,
+    language: parts[0].language || langCode
+  };
+}
+
+/**
+ * Segments that start inside a chunk, shifted onto the chunk's own timeline
+ */
+function chunkSegments(segments, chunk, last) {
+  return segments
+    .filter(s => s.start >= chunk.start && (last || s.start < chunk.end))
+    .map(s => ({ ...s, start: s.start - chunk.start, end: Math.min(s.end, chunk.end) - chunk.start }));
+}
+
+/**
+ * Step 4, chunked — voice each chunk, then join the chunk tracks into one
+ * track (padded or trimmed to the exact chunk lengths, so nothing shifts).
+ * Resolves the original audio if every chunk fell back to it.
+ */
+async function synthesizeChunks(translated, audioPath, lang, voiceMode, jobId, speakers, preferred, plan, voice = null) {
+  const outputPath = path.join(__dirname, 'temp', `${jobId}_${lang}_dubbed.wav`);
+  const last = plan.chunks.length - 1;
+  let done = 0;
+  const tracks = await runChunks(jobId, plan.chunks, 'Voice synthesis', chunk =>
+    runStage(jobId, chunkStage(`dubbed:${lang}`, chunk), () => stageLimiters.tts.run(
+      () => synthesizeVoice(
+        { ...translated, translatedSegments: chunkSegments(translated.translatedSegments, chunk, chunk.index === last) },
+        chunk.audio, lang, voiceMode, jobId, speakers, preferred, chunk, voice),
+      pos => reportProgress(jobId, lang, { message: `Waiting for a TTS slot (#${pos})...` }),
+      jobSignal(jobId)
+    )).then(track => {
+      reportProgress(jobId, lang, { progress: 65 + Math.round(10 * ++done / plan.chunks.length) });
+      return track;
+    }));
+
+  if (tracks.every((track, i) => track === plan.chunks[i].audio)) return audioPath;
+
+  const graph = plan.chunks.map((c, i) =>
+    `[${i}:a]aresample=24000,aformat=channel_layouts=mono,apad,atrim=duration=${(c.end - c.start).toFixed(3)}[a${i}]`).join(';')
+    + `;${plan.chunks.map((_, i) => `[a${i}]`).join('')}concat=n=${plan.chunks.length}:v=0:a=1[out]`;
+  await runFfmpeg([
+    ...tracks.flatMap(t => ['-i', t]),
+    '-filter_complex', graph,
+    '-map', '[out]', '-ar', '24000', '-ac', '1', '-y', outputPath
+  ], jobId, 'Chunk audio join');
+
+  // One placement file on the full timeline, for the quality report
+  const placement = plan.chunks.flatMap((c, i) => {
+    const file = tracks[i].replace(/\.wav$/, '_placement.json');
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')).map(p => ({
+      ...p, start: +(p.start + c.start).toFixed(3), end: +(p.end + c.start).toFixed(3)
+    })) : [];
+  });
+  fs.writeFileSync(outputPath.replace(/\.wav$/, '_placement.json'), JSON.stringify(placement));
+  return outputPath;
+}
+
+/**
+ * Step 6, chunked — lip-sync each chunk against its slice of the dub.
+ * Resolves the parts for finalRender to join: [{ path, duration }].
+ */
+async function lipSyncChunks(dubbedAudio, quality, jobId, lang, { provider, framesDir, faces, speech }, plan) {
+  const last = plan.chunks.length - 1;
+  let done = 0;
+  return runChunks(jobId, plan.chunks, 'Lip sync', async chunk => {
+    const duration = chunk.end - chunk.start;
+    const video = await runStage(jobId, chunkStage(`lipsync:${lang}`, chunk), () => stageLimiters.lipsync.run(async () => {
+      const audio = path.join(__dirname, 'temp', `${jobId}_${lang}_chunk${chunk.index}_dub.wav`);
+      await runFfmpeg(['-ss', chunk.start.toFixed(3), '-t', duration.toFixed(3), '-i', dubbedAudio, '-y', audio], jobId, 'Chunk dub cut');
+      const shots = faces && {
+        ...faces,
+        shots: faces.shots.filter(s => s.end > chunk.start && s.start < chunk.end).map(s => ({
+          ...s, start: Math.max(s.start, chunk.start) - chunk.start, end: Math.min(s.end, chunk.end) - chunk.start
+        }))
+      };
+      return runLipSync(chunk.video, audio, quality, jobId, lang,
+        { provider, framesDir, faces: shots, speech: chunkSegments(speech, chunk, chunk.index === last), chunk });
+    }, pos => reportProgress(jobId, lang, { message: `Waiting for a lip-sync slot (#${pos})...` }), jobSignal(jobId)));
+    reportProgress(jobId, lang, { progress: 82 + Math.round(8 * ++done / plan.chunks.length) });
+    return { path: video, duration };
+  });
+}
+
+/**
+ * Step 3 — Transcribe audio
+ * Providers: local Whisper, OpenAI Whisper API, mock transcript (dev)
+ */
+async function transcribeAudio(audioPath, langCode, jobId, preferred, chunk = null) {
+  updateJob(jobId, { stage: 'pill-transcribe', ...(!chunk && { progress: 28 }), message: chunk ? `Running speech recognition on chunk ${chunk.index + 1}...` : 'Running speech recognition...' });
+
+  const { result } = await runWithProviders('asr', preferred, jobId,
+    provider => provider.transcribe(audioPath, langCode, jobId), chunkStage('transcript', chunk));
+  if (!chunk) updateJob(jobId, { progress: 40 });
+  return result;
+}
+
+// Requires: pip install openai-whisper
+registerProvider('asr', {
+  id: 'whisper',
+  name: 'Whisper (local)',
+  description: 'OpenAI Whisper run locally through python3 -m whisper.',
+  tags: ['LOCAL'],
+  available: () => pythonHas('whisper'),
+  transcribe(audioPath, langCode, jobId) {
+    const outputDir = path.join(__dirname, 'temp');
+    const args = [
+      '-m', 'whisper',
+      audioPath,
+      '--model', process.env.WHISPER_MODEL || 'base',
+      '--output_dir', outputDir,
+      '--output_format', 'json',
+      ...(langCode === 'auto' ? [] : ['--language', langCode])
+    ];
+
+    return new Promise((resolve, reject) => {
+      const proc = spawnTracked(jobId, 'python3', args);
+      // --verbose prints each segment as "[00:12.340 --> 00:15.020] text"
+      const duration = mediaDuration(jobId);
+      const advance = progressBand(jobId, null, 28, 40);
+      pipeProcessLogs(jobId, proc, 'whisper', (line, stream) => {
+        const match = line.match(/-->\s*(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)\]/);
+        if (match && duration) advance((Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3])) / duration);
+        return stream === 'stderr' && TQDM_PERCENT.test(line);
+      });
+
+      proc.on('close', code => {
+        if (code !== 0) return reject(new Error(`whisper exited with code ${code}`));
+        try {
+          const jsonFile = path.join(outputDir, path.basename(audioPath, '.wav') + '.json');
+          resolve(JSON.parse(fs.readFileSync(jsonFile, 'utf-8')));
+        } catch (err) {
+          reject(new Error(`unreadable whisper output: ${err.message}`));
+        }
+      });
+
+      proc.on('error', () => reject(new Error('python3 not found')));
+    });
+  }
+});
+
+registerProvider('asr', {
+  id: 'openai',
+  name: 'OpenAI Whisper API',
+  description: 'Cloud transcription via the OpenAI audio API. Requires OPENAI_API_KEY.',
+  tags: ['CLOUD', 'API KEY'],
+  available: () => !!process.env.OPENAI_API_KEY,
+  async transcribe(audioPath, langCode, jobId) {
+    const form = new FormData();
+    form.append('file', new Blob([fs.readFileSync(audioPath)]), path.basename(audioPath));
+    form.append('model', 'whisper-1');
+    form.append('response_format', 'verbose_json');
+    if (langCode !== 'auto') form.append('language', langCode);
+
+    const res = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+      method: 'POST',
+      signal: jobSignal(jobId),
+      headers: { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` },
+      body: form
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  }
+});
+
+registerProvider('asr', {
+  id: 'mock',
+  name: 'Mock transcript',
+  description: 'Fixed two-line transcript for development without an ASR engine.',
+  tags: ['DEV'],
+  available: () => true,
+  degraded: true,
+  transcribe: async () => getMockTranscript()
+});
+
+function getMockTranscript() {
+  return {
+    text: 'Hello, welcome to this demonstration of the SyncLab dubbing engine.',
+    segments: [
+      { id: 0, start: 0.0, end: 2.5, text: 'Hello, welcome to this demonstration' },
+      { id: 1, start: 2.5, end: 5.0, text: 'of the SyncLab dubbing engine.' }
+    ],
+    language: 'en'
+  };
+}
+
+/**
+ * Step 3 (alternative) — Imported transcript or captions
+ * Approved scripts and existing captions skip ASR. SRT, WebVTT, TTML and JSON
+ * (Whisper output, our own JSON export, or a bare [{ start, end, text }] list)
+ * are parsed into Whisper's { text, segments, language } structure.
+ */
+const TRANSCRIPT_FORMATS = { '.srt': 'srt', '.vtt': 'vtt', '.ttml': 'ttml', '.dfxp': 'ttml', '.xml': 'ttml', '.json': 'json' };
+const TIMING_TOLERANCE = 0.5;   // seconds a cue may run past the end of the video
+
+function transcriptFormat(filename) {
+  return TRANSCRIPT_FORMATS[path.extname(filename || '').toLowerCase()] || null;
+}
+
+/**
+ * Parse a caption/transcript file into [{ id, start, end, text, speaker? }].
+ * Throws if the file has no usable cues.
+ */
+function parseTranscriptFile(filePath, format) {
+  const content = fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, '');
+  const cues = format === 'json' ? parseTranscriptJson(content)
+    : format === 'ttml' ? parseTtml(content)
+    : parseTimedText(content);
+
+  const segments = cues
+    .map(c => ({ ...c, text: String(c.text || '').replace(/\s+/g, ' ').trim() }))
+    .filter(c => c.text)
+    .sort((a, b) => a.start - b.start)
+    .map((c, i) => ({ ...c, id: i }));
+  if (!segments.length) throw new Error(`No timed cues found in ${format.toUpperCase()} file`);
+  return segments;
+}
+
+// SRT and WebVTT: blank-line separated blocks with a "start --> end" line
+function parseTimedText(content) {
+  return content.replace(/\r/g, '').split(/\n{2,}/).map(block => {
+    const lines = block.split('\n');
+    const at = lines.findIndex(l => l.includes('-->'));
+    if (at < 0) return null;   // WEBVTT header, NOTE and STYLE blocks
+    const [start, end] = lines[at].split('-->').map(t => parseCueTime(t.trim().split(/\s+/)[0]));
+    const text = lines.slice(at + 1).join(' ')
+      .replace(/<[^>]+>/g, '')      // <i>, <v Speaker>, <c.class>
+      .replace(/\{[^}]*\}/g, '');   // {\an8} style overrides
+    return { start, end, text };
+  }).filter(Boolean);
+}
+
+function parseTtml(content) {
+  const attr = (attrs, name) => attrs.match(new RegExp(`\\b${name}="([^"]+)"`))?.[1];
+  return Array.from(content.matchAll(/<p\b([^>]*)>([\s\S]*?)<\/p>/g), ([, attrs, body]) => {
+    const start = parseCueTime(attr(attrs, 'begin'));
+    const end = attr(attrs, 'end') ? parseCueTime(attr(attrs, 'end')) : start + parseCueTime(attr(attrs, 'dur'));
+    const text = body.replace(/<br\s*\/?>/g, ' ').replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+    return { start, end, text };
+  });
+}
+
+function parseTranscriptJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid JSON transcript: ${err.message}`);
+  }
+  const list = Array.isArray(data) ? data : data.segments || data.cues;
+  if (!Array.isArray(list)) throw new Error('JSON transcript needs a segments or cues array');
+  return list.map(c => ({
+    start: Number(c.start),
+    end: Number(c.end),
+    text: c.text,
+    ...(c.speaker && { speaker: String(c.speaker) })
+  }));
+}
+
+/**
+ * Seconds from "HH:MM:SS,mmm", "MM:SS.mmm", or TTML offsets like "12.5s" / "1500ms".
+ * NaN if unreadable.
+ */
+function parseCueTime(value) {
+  if (value == null) return NaN;
+  const offset = String(value).match(/^([\d.]+)(h|m|s|ms)$/);
+  if (offset) return Number(offset[1]) * { h: 3600, m: 60, s: 1, ms: 0.001 }[offset[2]];
+  const parts = String(value).replace(',', '.').split(':').map(Number);
+  if (parts.length < 2 || parts.length > 3 || parts.some(n => !Number.isFinite(n))) return NaN;
+  return parts.reduce((sum, n) => sum * 60 + n, 0);
+}
+
+/**
+ * Check imported timings against the video. Cues must have readable times,
+ * end after they start and start inside the video; small overruns past the
+ * end and overlaps with the next cue are trimmed. Returns
+ * { segments, adjustments } or throws listing the first problems.
+ */
+function validateTranscriptTiming(segments, duration) {
+  const problems = [];
+  const adjustments = [];
+  const checked = segments.map(s => ({ ...s }));
+
+  checked.forEach((s, i) => {
+    const label = `cue ${i + 1} (${s.text.slice(0, 30)})`;
+    if (!Number.isFinite(s.start) || !Number.isFinite(s.end)) return problems.push(`${label} has an unreadable timestamp`);
+    if (s.start < 0) return problems.push(`${label} starts before 0`);
+    if (s.end <= s.start) return problems.push(`${label} ends before it starts`);
+    if (duration && s.start >= duration) return problems.push(`${label} starts at ${s.start.toFixed(2)}s, after the video ends (${duration.toFixed(2)}s)`);
+    if (duration && s.end > duration) {
+      if (s.end > duration + TIMING_TOLERANCE) return problems.push(`${label} ends at ${s.end.toFixed(2)}s, after the video ends (${duration.toFixed(2)}s)`);
+      s.end = duration;
+    }
+    const next = checked[i + 1];
+    if (next && Number.isFinite(next.start) && s.end > next.start && next.start > s.start) {
+      adjustments.push(`${label} overlapped the next cue by ${(s.end - next.start).toFixed(2)}s — trimmed`);
+      s.end = next.start;
+    }
+  });
+
+  if (problems.length) {
+    throw new Error(`Imported transcript timing is invalid: ${problems.slice(0, 5).join('; ')}${problems.length > 5 ? ` (+${problems.length - 5} more)` : ''}`);
+  }
+  return { segments: checked, adjustments };
+}
+
+async function importTranscript({ path: filePath, format, lang, filename }, jobId) {
+  updateJob(jobId, { stage: 'pill-transcribe', progress: 28, message: `Importing ${format.toUpperCase()} transcript...` });
+
+  const { segments, adjustments } = validateTranscriptTiming(parseTranscriptFile(filePath, format), mediaDuration(jobId));
+  reportStage(jobId, 'transcript', { provider: 'import', notes: adjustments });
+  console.log(`[Import] ${segments.length} segments from ${filename}`);
+  updateJob(jobId, { progress: 40 });
+  return {
+    text: segments.map(s => s.text).join(' '),
+    segments,
+    language: lang,
+    imported: { format, filename }
+  };
+}
+
+/**
+ * Captions imported in the target language stand in for its translation.
+ */
+function importedTranslation(transcript, lang, jobId) {
+  reportProgress(jobId, lang, { stage: 'pill-translate', progress: 58, message: 'Using imported captions as the translation...' });
+  const segments = transcriptSegments(transcript);
+  reportStage(jobId, `translation:${lang}`, { provider: 'import' });
+  return withTranslatedSegments(transcript, segments, segments.map(s => s.text.trim()));
+}
+
+/**
+ * Step 3b — Speaker diarization
+ * Requires: pip install pyannote.audio (see scripts/diarize.py)
+ *
+ * Labels each transcript segment with a speaker and cuts a clean reference
+ * clip per speaker from the extracted audio for voice cloning. Without
+ * pyannote every segment belongs to one speaker cloned from the whole track.
+ */
+const SPEAKER_REF_SECONDS = parseFloat(process.env.SPEAKER_REF_SECONDS) || 12;
+
+async function diarizeSpeakers(audioPath, transcript, numSpeakers, jobId) {
+  updateJob(jobId, { stage: 'pill-transcribe', progress: 42, message: 'Detecting speakers...' });
+  const segments = transcriptSegments(transcript);
+
+  let turns = [];
+  let failure = 'no speaker turns found';
+  try {
+    turns = await runDiarization(audioPath, numSpeakers, jobId);
+  } catch (err) {
+    console.warn('[Diarization] Unavailable — treating audio as a single speaker:', err.message);
+    failure = err.message;
+  }
+
+  if (!turns.length) {
+    // Not a fallback when the uploader said there is only one speaker
+    reportStage(jobId, 'diarization', numSpeakers === 1
+      ? { provider: 'single-speaker' }
+      : { provider: 'single-speaker', degraded: true, reason: failure });
+    return {
+      speakers: { SPEAKER_00: { reference: audioPath, segments: segments.length, speech: null } },
+      assignments: Object.fromEntries(segments.map((s, i) => [s.id ?? i, 'SPEAKER_00'])),
+      turns: []
+    };
+  }
+
+  const assignments = Object.fromEntries(segments.map((s, i) => [s.id ?? i, dominantSpeaker(turns, s.start, s.end)]));
+  const labels = [...new Set(turns.map(t => t.speaker))];
+  const refDir = path.join(__dirname, 'temp', `${jobId}_speakers`);
+  if (!fs.existsSync(refDir)) fs.mkdirSync(refDir);
+
+  const speakers = {};
+  for (const label of labels) {
+    const own = turns.filter(t => t.speaker === label);
+    let reference = audioPath;
+    try {
+      reference = await extractSpeakerReference(audioPath, turns, label, path.join(refDir, `${label}.wav`), jobId);
+    } catch (err) {
+      console.warn(`[Diarization] No clean reference for ${label}, using full track:`, err.message);
+    }
+    speakers[label] = {
+      reference,
+      segments: Object.values(assignments).filter(a => a === label).length,
+      speech: +own.reduce((sum, t) => sum + t.end - t.start, 0).toFixed(2)
+    };
+  }
+
+  console.log(`[Diarization] ${labels.length} speaker(s) across ${segments.length} segments`);
+  reportStage(jobId, 'diarization', { provider: 'pyannote' });
+  updateJob(jobId, { progress: 45 });
+  return { speakers, assignments, turns };
+}
+
+function runDiarization(audioPath, numSpeakers, jobId) {
+  const outPath = path.join(__dirname, 'temp', `${jobId}_turns.json`);
+  const args = [path.join(__dirname, 'scripts', 'diarize.py'), audioPath, outPath];
+  if (numSpeakers) args.push(String(numSpeakers));
+
+  return new Promise((resolve, reject) => {
+    const proc = spawnTracked(jobId, 'python3', args);
+    let stderr = '';
+    proc.stderr.on('data', d => stderr += d.toString());
+    pipeProcessLogs(jobId, proc, 'diarization');
+    proc.on('close', code => {
+      if (code !== 0) return reject(new Error(stderr.trim().split('\n').pop() || `exit code ${code}`));
+      try {
+        const { turns } = JSON.parse(fs.readFileSync(outPath, 'utf-8'));
+        resolve(turns);
+      } catch (err) {
+        reject(err);
+      }
+    });
+    proc.on('error', () => reject(new Error('python3 not found')));
+  });
+}
+
+/**
+ * Speaker with the most overlap with [start, end]; nearest turn if none overlap.
+ */
+function dominantSpeaker(turns, start, end) {
+  const overlap = {};
+  turns.forEach(t => {
+    const o = Math.min(end, t.end) - Math.max(start, t.start);
+    if (o > 0) overlap[t.speaker] = (overlap[t.speaker] || 0) + o;
+  });
+  const best = Object.entries(overlap).sort((a, b) => b[1] - a[1])[0];
+  if (best) return best[0];
+
+  const mid = (start + end) / 2;
+  return turns.reduce((a, b) =>
+    Math.abs((a.start + a.end) / 2 - mid) <= Math.abs((b.start + b.end) / 2 - mid) ? a : b).speaker;
+}
+
+/**
+ * Concatenate a speaker's longest turns that nobody talks over,
+ * up to SPEAKER_REF_SECONDS, into one reference WAV.
+ */
+async function extractSpeakerReference(audioPath, turns, label, outPath, jobId) {
+  const clean = turns
+    .filter(t => t.speaker === label && t.end - t.start >= 1)
+    .filter(t => !turns.some(o => o.speaker !== label && o.start < t.end && o.end > t.start))
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start));
+
+  const picked = [];
+  let total = 0;
+  for (const t of clean) {
+    if (total >= SPEAKER_REF_SECONDS) break;
+    // Trim the edges a little to avoid catching the previous speaker's tail
+    const start = t.start + 0.1;
+    const end = Math.min(t.end - 0.1, start + SPEAKER_REF_SECONDS - total);
+    picked.push([start, end]);
+    total += end - start;
+  }
+  if (!picked.length) throw new Error('no turn of 1s+ without overlapping speech');
+
+  picked.sort((a, b) => a[0] - b[0]);
+  const select = picked.map(([a, b]) => `between(t,${a.toFixed(3)},${b.toFixed(3)})`).join('+');
+  await runFfmpeg([
+    '-i', audioPath,
+    '-af', `aselect='${select}',asetpts=N/SR/TB`,
+    '-y', outPath
+  ], jobId, `Reference clip for ${label}`);
+  return outPath;
+}
+
+/**
+ * Copy speaker labels from a diarization result onto transcript segments.
+ */
+function applySpeakers(transcript, diarization) {
+  if (!diarization) return transcript;
+  const segments = transcriptSegments(transcript).map((s, i) => ({
+    ...s, speaker: diarization.assignments[s.id ?? i] || s.speaker
+  }));
+  return { ...transcript, segments };
+}
+
+/**
+ * Step 4 — Translate text
+ * Providers: LibreTranslate (self-hosted), DeepL API, mock (dev)
+ *
+ * Each Whisper segment is translated on its own (sent as an array, so
+ * segment boundaries survive the round trip) and keeps its start/end.
+ * Glossary terms go through the provider's own glossary support where it
+ * has one (prepareGlossary), and are masked with placeholders otherwise.
+ */
+const TRANSLATE_BATCH_SIZE = 50;
+
+// DeepL rejects bare EN / PT as target languages
+const DEEPL_TARGETS = { en: 'EN-US', pt: 'PT-PT' };
+const DEEPL_API = process.env.DEEPL_API_URL || 'https://api-free.deepl.com';
+const deeplGlossaries = new Map();   // glossary id:version:from:to → DeepL glossary_id
+
+async function translateText(transcript, fromLang, toLang, jobId, preferred, glossaryId = null) {
+  reportProgress(jobId, toLang, { stage: 'pill-translate', progress: 48, message: `Translating ${fromLang} → ${toLang}...` });
+
+  const segments = transcriptSegments(transcript);
+  const texts = segments.map(s => s.text.trim());
+
+  const glossary = glossaryEntries(glossaryId, toLang);
+
+  const { result } = await runWithProviders('translate', preferred, jobId, async provider => {
+    let options = {};
+    if (glossary.length && provider.prepareGlossary) {
+      try {
+        options = await provider.prepareGlossary(glossaries.get(glossaryId), glossary, fromLang, toLang, jobId);
+      } catch (err) {
+        throwIfCancelled(jobId);
+        console.warn(`[${provider.name}] Glossary not available, masking terms instead:`, err.message);
+      }
+    }
+
+    // Segments this provider already translated (with this glossary) are not sent again
+    const cache = CACHE_CONFIG.enabled && !provider.degraded;
+    const keys = texts.map(text => cacheKey('translation', { text, fromLang, toLang, provider: provider.id, glossary }));
+    const translated = keys.map(key => cache ? cacheRead('translation', key)?.text ?? null : null);
+    const pending = translated.map((t, i) => t === null ? i : -1).filter(i => i >= 0);
+    if (pending.length < texts.length) {
+      jobLog(jobId, 'info', `translation:${toLang}`, `${texts.length - pending.length}/${texts.length} segments from cache`);
+    }
+
+    const batches = chunk(pending, TRANSLATE_BATCH_SIZE);
+    for (let i = 0; i < batches.length; i++) {
+      const batch = batches[i].map(index => texts[index]);
+      const masked = options.glossary ? null : batch.map(t => maskTerms(t, glossary));
+      const out = await provider.translateBatch(masked ? masked.map(m => m.text) : batch, fromLang, toLang, jobId, options);
+      if (out.length !== batch.length) {
+        throw new Error(`expected ${batch.length} segments, got ${out.length}`);
+      }
+      (masked ? out.map((t, j) => unmaskTerms(t, masked[j].slots)) : out).forEach((text, j) => {
+        const index = batches[i][j];
+        translated[index] = text;
+        if (cache) cacheWrite('translation', keys[index], { text });
+      });
+      reportProgress(jobId, toLang, { progress: 48 + Math.round(10 * (i + 1) / batches.length) });
+    }
+    return translated;
+  }, `translation:${toLang}`);
+
+  // One warning per term that the translation did not honor
+  const issues = glossary.length ? glossaryIssues(segments, result, glossary) : [];
+  const byTerm = {};
+  issues.forEach(issue => (byTerm[issue.term] = byTerm[issue.term] || []).push(issue.segment));
+  addJobWarnings(jobId, `translation:${toLang}`, Object.entries(byTerm).map(([term, ids]) =>
+    `Glossary term "${term}" not honored in ${ids.length} segment(s): ${ids.slice(0, 10).map(id => `#${id}`).join(', ')}${ids.length > 10 ? '…' : ''}`));
+
+  return { ...withTranslatedSegments(transcript, segments, result), glossaryIssues: issues };
+}
+
+/**
+ * Whisper segments, or a single segment spanning the whole text if none
+ */
+function transcriptSegments(transcript) {
+  if (transcript.segments?.length) return transcript.segments;
+  const end = transcript.duration || 5;
+  return [{ id: 0, start: 0, end, text: transcript.text || '' }];
+}
+
+function withTranslatedSegments(transcript, segments, translated) {
+  const translatedSegments = segments.map((s, i) => ({
+    id: s.id ?? i,
+    start: s.start,
+    end: s.end,
+    speaker: s.speaker,
+    sourceText: s.text.trim(),
+    text: translated[i]
+  }));
+  return {
+    ...transcript,
+    translatedText: translatedSegments.map(s => s.text).join(' '),
+    translatedSegments
+  };
+}
+
+registerProvider('translate', {
+  id: 'libretranslate',
+  name: 'LibreTranslate',
+  description: 'Self-hosted open-source translation. Requires LIBRETRANSLATE_URL.',
+  tags: ['SELF-HOSTED'],
+  available: () => !!process.env.LIBRETRANSLATE_URL,
+  async translateBatch(texts, fromLang, toLang, jobId) {
+    const res = await fetch(`${process.env.LIBRETRANSLATE_URL}/translate`, {
+      method: 'POST',
+      signal: jobSignal(jobId),
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        q: texts,
+        source: fromLang === 'auto' ? 'auto' : fromLang,
+        target: toLang,
+        format: 'text',
+        api_key: process.env.LIBRETRANSLATE_KEY || ''
+      })
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    return [].concat(data.translatedText);
+  }
+});
+
+registerProvider('translate', {
+  id: 'deepl',
+  name: 'DeepL',
+  description: 'DeepL API translation. Requires DEEPL_API_KEY.',
+  tags: ['CLOUD', 'API KEY'],
+  available: () => !!process.env.DEEPL_API_KEY,
+  // DeepL glossaries can't be edited, so one is created per glossary version and language pair
+  async prepareGlossary(glossary, entries, fromLang, toLang, jobId) {
+    if (fromLang === 'auto') throw new Error('DeepL glossaries need a known source language');
+    const key = `${glossary.id}:${glossary.updatedAt}:${fromLang}:${toLang}`;
+    if (!deeplGlossaries.has(key)) {
+      const res = await fetch(`${DEEPL_API}/v2/glossaries`, {
+        method: 'POST',
+        signal: jobSignal(jobId),
         headers: {
           'Authorization': `DeepL-Auth-Key ${process.env.DEEPL_API_KEY}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ text: [transcript.text], target_lang: toLang.toUpperCase() })
+        body: JSON.stringify({
+          name: `synclab-${key}`,
+          source_lang: fromLang,
+          target_lang: toLang,
+          entries: entries.map(e => `${e.term}\t${e.target}`).join('\n'),
+          entries_format: 'tsv'
+        })
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      deeplGlossaries.set(key, (await res.json()).glossary_id);
+    }
+    return { glossary: deeplGlossaries.get(key) };
+  },
+  async translateBatch(texts, fromLang, toLang, jobId, { glossary } = {}) {
+    const res = await fetch(`${DEEPL_API}/v2/translate`, {
+      method: 'POST',
+      signal: jobSignal(jobId),
+      headers: {
+        'Authorization': `DeepL-Auth-Key ${process.env.DEEPL_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        text: texts,
+        target_lang: DEEPL_TARGETS[toLang] || toLang.toUpperCase(),
+        ...(fromLang !== 'auto' && { source_lang: fromLang.toUpperCase() }),
+        ...(glossary && { glossary_id: glossary })
+      })
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    return data.translations.map(t => t.text);
+  }
+});
+
+registerProvider('translate', {
+  id: 'mock',
+  name: 'Mock translation',
+  description: 'Tags each line with the target language, for development.',
+  tags: ['DEV'],
+  available: () => true,
+  degraded: true,
+  translateBatch: async (texts, fromLang, toLang) => texts.map(t => `[Translated to ${toLang}]: ${t}`)
+});
+
+function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+/**
+ * Step 5 — Synthesize voice
+ * Providers: XTTS v2 (local), ElevenLabs (cloud)
+ *
+ * Every translated segment is voiced separately, time-stretched to fit its
+ * original slot (within TTS_MIN_TEMPO..TTS_MAX_TEMPO) and placed at its
+ * start time on a track as long as the original audio.
+ */
+const TTS_TEMPO = {
+  min: parseFloat(process.env.TTS_MIN_TEMPO) || 0.85,
+  max: parseFloat(process.env.TTS_MAX_TEMPO) || 1.3
+};
+
+async function synthesizeVoice(translatedTranscript, referenceAudioPath, toLang, voiceMode, jobId, speakers = {}, preferred = null, chunk = null, voice = null) {
+  // A chunk's progress is reported by synthesizeChunks as whole chunks finish
+  const progress = value => chunk ? {} : { progress: value };
+  const part = chunk ? `_c${chunk.index}` : '';
+  reportProgress(jobId, toLang, { stage: 'pill-synth', ...progress(65), message: chunk ? `Synthesizing chunk ${chunk.index + 1}...` : 'Synthesizing dubbed voice...' });
+  const outputPath = path.join(__dirname, 'temp', `${jobId}_${toLang}_dubbed${part}.wav`);
+  const segDir = path.join(__dirname, 'temp', `${jobId}_${toLang}_segments${part}`);
+  if (!fs.existsSync(segDir)) fs.mkdirSync(segDir);
+
+  const segments = (translatedTranscript.translatedSegments || [])
+    .filter(s => s.text && s.text.trim() && s.end > s.start);
+  const failures = new Set();
+
+  if (segments.length && candidateProviders('tts', preferred).length) {
+    const totalDuration = await probeDuration(referenceAudioPath, jobId);
+    const clips = [];
+    const used = new Set();
+
+    for (let i = 0; i < segments.length; i++) {
+      const seg = segments[i];
+      const base = path.join(segDir, `seg_${String(i).padStart(4, '0')}`);
+      reportProgress(jobId, toLang, { message: `Synthesizing ${chunk ? `chunk ${chunk.index + 1}, ` : ''}segment ${i + 1}/${segments.length}...` });
+
+      // A voice picked for the language speaks every line, whoever said it
+      const reference = voice?.reference || speakers[seg.speaker]?.reference || referenceAudioPath;
+      const { result: raw, provider, failures: segFailures } =
+        await synthesizeSegment(seg.text, base, reference, toLang, voiceMode, jobId, preferred, voice);
+      segFailures.forEach(f => failures.add(f));
+      if (!raw) {
+        console.warn(`[TTS] Segment ${i} could not be synthesized — leaving silence`);
+        continue;
+      }
+      used.add(provider);
+
+      // The clip may run on into the gap before the next line, but never over it
+      const nextStart = segments[i + 1]?.start ?? totalDuration;
+      const room = Math.max(seg.end, nextStart) - seg.start;
+      clips.push({ ...await fitClip(raw, `${base}_fit.wav`, seg.end - seg.start, room, jobId), id: seg.id, start: seg.start });
+
+      reportProgress(jobId, toLang, progress(65 + Math.round(8 * (i + 1) / segments.length)));
+    }
+
+    if (clips.length) {
+      await buildTimeline(clips, totalDuration, outputPath, jobId);
+      // Where each line landed, for the quality report's drift check
+      fs.writeFileSync(outputPath.replace(/\.wav$/, '_placement.json'), JSON.stringify(clips.map(c => ({
+        id: c.id, start: c.start, end: +(c.start + c.duration).toFixed(3), tempo: +c.tempo.toFixed(3), truncated: c.truncated
+      }))));
+      const stretched = clips.filter(c => c.tempo !== 1).length;
+      const truncated = clips.filter(c => c.truncated).length;
+      console.log(`[TTS] ${clips.length}/${segments.length} segments placed (${stretched} stretched, ${truncated} truncated)`);
+      const silent = segments.length - clips.length;
+      reportStage(jobId, chunkStage(`dubbed:${toLang}`, chunk), silent
+        ? { provider: [...used].join('+'), degraded: true, reason: `${silent}/${segments.length} segments left silent: ${[...failures].join('; ')}` }
+        : { provider: [...used].join('+'), failures: [...failures] });
+      reportProgress(jobId, toLang, progress(75));
+      return outputPath;
+    }
+  }
+
+  // Fallback: use original audio (no synthesis)
+  const reason = !segments.length ? 'no translated segments to voice'
+    : failures.size ? [...failures].join('; ') : 'no TTS provider available';
+  console.warn(`[TTS] ${reason} — using original audio`);
+  reportStage(jobId, chunkStage(`dubbed:${toLang}`, chunk), { provider: 'original-audio', degraded: true, reason });
+  reportProgress(jobId, toLang, progress(75));
+  return referenceAudioPath;
+}
+
+/**
+ * Voice one segment. Resolves { result, provider, failures } like
+ * runWithProviders, with a null result if every provider failed.
+ */
+async function synthesizeSegment(text, basePath, referenceAudioPath, toLang, voiceMode, jobId, preferred, voice = null) {
+  try {
+    // The reference only shapes the voice when cloning
+    const reference = CACHE_CONFIG.enabled && (voiceMode === 'clone' || voice?.reference) ? await hashFile(referenceAudioPath) : null;
+    const voiceKey = voice && { id: voice.id, provider: voice.provider, voiceId: voice.voiceId, settings: voice.settings };
+    return await runWithProviders('tts', preferred, jobId,
+      provider => cachedClip(cacheKey('tts', { text, toLang, voiceMode, reference, voice: voiceKey, provider: provider.id }), basePath,
+        () => provider.synthesize({ text, basePath, referenceAudioPath, toLang, voiceMode, jobId, voice })));
+  } catch (err) {
+    throwIfCancelled(jobId);
+    return { result: null, provider: null, failures: [err.message] };
+  }
+}
+
+/**
+ * A synthesized clip from the cache, copied to `basePath` plus its
+ * extension, or `synthesize()`'s output, which is then stored.
+ */
+async function cachedClip(key, basePath, synthesize) {
+  if (!CACHE_CONFIG.enabled) return synthesize();
+  const hit = cacheRead('tts', key);
+  if (hit) {
+    const clip = basePath + path.extname(hit.clip);
+    try {
+      fs.copyFileSync(path.join(CACHE_DIR, 'tts', key, hit.clip), clip);
+      return clip;
+    } catch {}
+  }
+  const clip = await synthesize();
+  cacheWrite('tts', key, { clip: `clip${path.extname(clip)}` }, { [`clip${path.extname(clip)}`]: clip });
+  return clip;
+}
+
+// XTTS v2 server (run: pip install TTS; tts-server --model_name tts_models/multilingual/multi-dataset/xtts_v2)
+registerProvider('tts', {
+  id: 'xtts',
+  name: 'XTTS v2',
+  description: 'Multilingual voice clone with 3s reference audio. 28 languages.',
+  tags: ['CLONE', '28 LANGS'],
+  available: () => !!process.env.XTTS_SERVER_URL,
+  async synthesize({ text, basePath, referenceAudioPath, toLang, voiceMode, jobId, voice }) {
+    if (voice?.kind === 'stock') throw new Error(`voice ${voice.id} is a stock voice of ${voice.provider}`);
+    if (!voice && voiceMode !== 'clone') throw new Error('only used in voice clone mode');
+    const res = await fetch(`${process.env.XTTS_SERVER_URL}/tts_to_file`, {
+      method: 'POST',
+      signal: jobSignal(jobId),
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text,
+        language: toLang,
+        speaker_wav: referenceAudioPath,
+        file_path: `${basePath}.wav`,
+        ...(voice?.settings.speed && { speed: voice.settings.speed })
+      })
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return `${basePath}.wav`;
+  }
+});
+
+const ELEVENLABS_API = 'https://api.elevenlabs.io';
+// Used when a job picks no voice for the language (ElevenLabs' "Rachel")
+const ELEVENLABS_DEFAULT_VOICE = process.env.ELEVENLABS_VOICE_ID || '21m00Tcm4TlvDq8ikWAM';
+const elevenLabsClones = new Map();   // library voice id → pending instant clone
+const ELEVENLABS_CLONE_TIMEOUT_MS = 120000;
+
+/**
+ * Wait for a promise other jobs may share, giving up (for this job only)
+ * when `signal` aborts. The promise itself carries on for the rest.
+ */
+function awaitWithSignal(promise, signal) {
+  if (signal.aborted) return Promise.reject(new Error('Job cancelled'));
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(new Error('Job cancelled'));
+    signal.addEventListener('abort', abort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+  });
+}
+
+/**
+ * ElevenLabs voice id for a library clone voice, made from its reference
+ * clip on first use (an instant voice clone) and kept on the voice record.
+ * Jobs needing the same voice share one request, which has its own timeout
+ * rather than any job's signal, so cancelling one job doesn't fail the rest.
+ */
+function elevenLabsClone(voice, jobId) {
+  const saved = voices.get(voice.id);
+  if (!saved) return Promise.reject(new Error(`voice ${voice.id} no longer exists`));
+  if (saved.providerVoices?.elevenlabs) return Promise.resolve(saved.providerVoices.elevenlabs);
+  if (!elevenLabsClones.has(saved.id)) {
+    const create = (async () => {
+      const form = new FormData();
+      form.append('name', `synclab-${saved.name}`);
+      form.append('files', new Blob([fs.readFileSync(voice.reference)], { type: 'audio/wav' }), 'reference.wav');
+      const res = await fetch(`${ELEVENLABS_API}/v1/voices/add`, {
+        method: 'POST',
+        signal: AbortSignal.timeout(ELEVENLABS_CLONE_TIMEOUT_MS),
+        headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY },
+        body: form
+      });
+      if (!res.ok) throw new Error(`voice clone: HTTP ${res.status}`);
+      saved.providerVoices = { ...saved.providerVoices, elevenlabs: (await res.json()).voice_id };
+      persistVoice(saved);
+      return saved.providerVoices.elevenlabs;
+    })();
+    elevenLabsClones.set(saved.id, create);
+    create.finally(() => elevenLabsClones.delete(saved.id)).catch(() => {});
+  }
+  return awaitWithSignal(elevenLabsClones.get(saved.id), jobSignal(jobId));
+}
+
+registerProvider('tts', {
+  id: 'elevenlabs',
+  name: 'ElevenLabs API',
+  description: 'Professional cloud TTS. Requires API key. Best voice quality.',
+  tags: ['CLOUD', 'API KEY'],
+  available: () => !!process.env.ELEVENLABS_API_KEY,
+  // Stock voices of the account, for GET /api/voices/stock and `elevenlabs:<voice_id>` choices
+  async listVoices() {
+    const res = await fetch(`${ELEVENLABS_API}/v1/voices`, { headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY } });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return (await res.json()).voices.map(v => ({ voice_id: v.voice_id, name: v.name, labels: v.labels || {} }));
+  },
+  async synthesize({ text, basePath, jobId, voice }) {
+    if (voice?.kind === 'stock' && voice.provider !== 'elevenlabs') throw new Error(`voice ${voice.id} is a stock voice of ${voice.provider}`);
+    const voiceId = voice?.kind === 'stock' ? voice.voiceId
+      : voice?.kind === 'clone' ? await elevenLabsClone(voice, jobId)
+      : ELEVENLABS_DEFAULT_VOICE;
+    const res = await fetch(`${ELEVENLABS_API}/v1/text-to-speech/${encodeURIComponent(voiceId)}`, {
+      method: 'POST',
+      signal: jobSignal(jobId),
+      headers: {
+        'xi-api-key': process.env.ELEVENLABS_API_KEY,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        text,
+        model_id: 'eleven_multilingual_v2',
+        voice_settings: { stability: 0.5, similarity_boost: 0.75, ...voice?.settings }
+      })
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const buf = await res.arrayBuffer();
+    fs.writeFileSync(`${basePath}.mp3`, Buffer.from(buf));
+    return `${basePath}.mp3`;
+  }
+});
+
+/**
+ * Time-stretch a clip towards `slot` seconds and cap it at `room` seconds
+ * (with a short fade so the cut doesn't click). Output is 24 kHz mono WAV.
+ */
+async function fitClip(clipPath, fitPath, slot, room, jobId) {
+  const duration = await probeDuration(clipPath, jobId);
+  const ratio = duration / slot;
+  const tempo = Math.abs(ratio - 1) < 0.02 ? 1 : Math.min(TTS_TEMPO.max, Math.max(TTS_TEMPO.min, ratio));
+  const fitted = duration / tempo;
+  const truncated = fitted > room;
+
+  const filters = [];
+  if (tempo !== 1) filters.push(`atempo=${tempo.toFixed(4)}`);
+  if (truncated) filters.push(`atrim=0:${room.toFixed(3)}`, `afade=t=out:st=${Math.max(0, room - 0.05).toFixed(3)}:d=0.05`);
+
+  await runFfmpeg([
+    '-i', clipPath,
+    ...(filters.length ? ['-af', filters.join(',')] : []),
+    '-ar', '24000', '-ac', '1',
+    '-y', fitPath
+  ], jobId, 'Segment time-stretch');
+
+  return { path: fitPath, tempo, duration: Math.min(fitted, room), truncated };
+}
+
+/**
+ * Lay clips out at their start times over silence of `totalDuration` seconds.
+ */
+async function buildTimeline(clips, totalDuration, outputPath, jobId) {
+  const scriptPath = outputPath.replace(/\.wav$/, '_timeline.txt');
+  const delayed = clips.map((c, i) => `[${i + 1}:a]adelay=${Math.round(c.start * 1000)}[c${i}]`);
+  const mixInputs = ['[0:a]', ...clips.map((_, i) => `[c${i}]`)].join('');
+  fs.writeFileSync(scriptPath, [
+    ...delayed,
+    `${mixInputs}amix=inputs=${clips.length + 1}:duration=first:normalize=0[out]`
+  ].join(';\n'));
+
+  await runFfmpeg([
+    '-f', 'lavfi', '-t', totalDuration.toFixed(3), '-i', 'anullsrc=r=24000:cl=mono',
+    ...clips.flatMap(c => ['-i', c.path]),
+    '-filter_complex_script', scriptPath,
+    '-map', '[out]', '-ar', '24000', '-ac', '1',
+    '-y', outputPath
+  ], jobId, 'Dub timeline assembly');
+
+  try { fs.unlinkSync(scriptPath); } catch {}
+  return outputPath;
+}
+
+/**
+ * Step 5b — Mix the dub back over the original background
+ *
+ * The background is side-chain compressed by the dub, so music and effects
+ * duck under the new dialogue. `blend` (the UI's Audio Blend, 0..1) sets how
+ * hard: 0 leaves the background untouched, 1 ducks it as far as it goes.
+ */
+async function mixWithBackground(dubbedAudioPath, backgroundPath, blend, jobId, lang) {
+  reportProgress(jobId, lang, { stage: 'pill-synth', progress: 77, message: 'Mixing dub with background audio...' });
+  const outputPath = path.join(__dirname, 'temp', `${jobId}_${lang}_mixed.wav`);
+  const amount = Math.min(1, Math.max(0, Number.isFinite(blend) ? blend : 0.7));
+  const ratio = (1 + amount * 19).toFixed(2);
+  const makeup = (1 - amount * 0.6).toFixed(2);
+  const norm = 'aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo';
+
+  await runFfmpeg([
+    '-i', backgroundPath,
+    '-i', dubbedAudioPath,
+    '-filter_complex', [
+      `[0:a]${norm},volume=${makeup}[bg]`,
+      `[1:a]${norm},asplit=2[dub][key]`,
+      `[bg][key]sidechaincompress=threshold=0.02:ratio=${ratio}:attack=20:release=350[ducked]`,
+      '[ducked][dub]amix=inputs=2:duration=first:normalize=0,alimiter=limit=0.95[out]'
+    ].join(';'),
+    '-map', '[out]',
+    '-y', outputPath
+  ], jobId, 'Background mix');
+
+  reportProgress(jobId, lang, { progress: 79 });
+  return outputPath;
+}
+
+/**
+ * Step 6 — Lip sync
+ * Providers: Wav2Lip, SadTalker, audio merge only (no lip sync)
+ *
+ * With a face preflight, only shots with a speaking face go through the
+ * provider; the rest keep their original picture and everything is joined
+ * back up under the dubbed audio. Without one, the whole clip is synced.
+ */
+async function runLipSync(videoPath, dubbedAudioPath, quality, jobId, lang, { provider: preferred, framesDir, faces, speech = [], chunk = null } = {}) {
+  const part = chunk ? `_c${chunk.index}` : '';
+  const stage = chunkStage(`lipsync:${lang}`, chunk);
+  const progress = value => chunk ? {} : { progress: value };
+  const outputPath = path.join(__dirname, 'temp', `${jobId}_${lang}_lipsync${part}.mp4`);
+  const { syncConfidence, faceMargin = DEFAULT_FACE_MARGIN } = jobs.get(jobId).meta;
+  const settings = { quality, framesDir, faceMargin, chunk, jobId, lang };
+  const plan = faces ? lipSyncPlan(faces.shots, speech, Number.isFinite(syncConfidence) ? syncConfidence : 0.85) : null;
+  const synced = plan ? plan.filter(r => r.sync) : [];
+
+  if (plan && !synced.length) {
+    jobLog(jobId, 'info', 'lipsync', `No speaking face above sync confidence ${syncConfidence} — keeping the original picture`);
+    await mergeAudioOnly(videoPath, dubbedAudioPath, outputPath, jobId, lang, { quiet: !!chunk });
+    reportStage(jobId, stage, { provider: 'passthrough' });
+    return outputPath;
+  }
+
+  if (!plan || synced.length === plan.length) {
+    const { result } = await runWithProviders('lipsync', preferred, jobId, provider => {
+      reportProgress(jobId, lang, { stage: 'pill-lipsync', ...progress(82), message: `Applying ${provider.name}${chunk ? ` to chunk ${chunk.index + 1}` : ''}...` });
+      return provider.sync({ ...settings, videoPath, dubbedAudioPath, outputPath, shot: plan?.length === 1 ? plan[0].shot : null });
+    }, stage);
+    reportProgress(jobId, lang, progress(90));
+    return result;
+  }
+
+  const syncedSeconds = synced.reduce((sum, r) => sum + r.end - r.start, 0);
+  jobLog(jobId, 'info', 'lipsync', `Lip-syncing ${synced.length} of ${plan.length} shot range(s), ${syncedSeconds.toFixed(1)}s; the rest keeps the original picture`);
+
+  const partsDir = path.join(__dirname, 'temp', `${jobId}_${lang}_shots${part}`);
+  if (!fs.existsSync(partsDir)) fs.mkdirSync(partsDir);
+  const used = new Set();
+  const failures = new Set();
+  const parts = [];
+  let done = 0;
+  for (const [i, range] of plan.entries()) {
+    const base = path.join(partsDir, String(i).padStart(4, '0'));
+    const duration = range.end - range.start;
+    await runFfmpeg([
+      '-ss', range.start.toFixed(3), '-i', videoPath, '-t', duration.toFixed(3),
+      '-an', '-c:v', 'libx264', '-preset', 'fast', '-crf', '18', '-pix_fmt', 'yuv420p', '-y', `${base}.mp4`
+    ], jobId, 'Shot cut');
+    if (!range.sync) {
+      parts.push({ path: `${base}.mp4`, duration });
+      continue;
+    }
+
+    await runFfmpeg(['-ss', range.start.toFixed(3), '-t', duration.toFixed(3), '-i', dubbedAudioPath, '-y', `${base}.wav`], jobId, 'Shot audio cut');
+    const { result, provider, failures: shotFailures } = await runWithProviders('lipsync', preferred, jobId, provider => {
+      reportProgress(jobId, lang, { stage: 'pill-lipsync', message: `Applying ${provider.name} to shot ${done + 1}/${synced.length}...` });
+      return provider.sync({ ...settings, videoPath: `${base}.mp4`, dubbedAudioPath: `${base}.wav`, outputPath: `${base}_synced.mp4`, shot: range.shot });
+    });
+    used.add(provider);
+    shotFailures.forEach(f => failures.add(f));
+    parts.push({ path: result, duration });
+    reportProgress(jobId, lang, progress(82 + Math.round(6 * ++done / synced.length)));
+  }
+
+  await joinShots(parts, dubbedAudioPath, outputPath, jobId, chunk ? null : lang);
+  const fallbacks = [...used].filter(id => providers.lipsync.get(id)?.degraded);
+  reportStage(jobId, stage, fallbacks.length
+    ? { provider: [...used].join('+'), degraded: true, reason: [...failures].join('; ') || 'no other lipsync provider available' }
+    : { provider: [...used].join('+'), failures: [...failures] });
+  reportProgress(jobId, lang, progress(90));
+  return outputPath;
+}
+
+// Below this mouth change between samples, a face during speech is taken
+// for a listener rather than the speaker
+const MOUTH_ACTIVITY_MIN = parseFloat(process.env.MOUTH_ACTIVITY_MIN) || 0.02;
+const DEFAULT_FACE_MARGIN = 24;
+
+/**
+ * Decide per shot whether to lip-sync it. A shot qualifies when it has
+ * speech and its confidence — the share of sampled frames with a face,
+ * scaled down when that face's mouth hardly moves — reaches
+ * `minConfidence`. Neighbouring shots that are left alone are merged.
+ */
+function lipSyncPlan(shots, speech, minConfidence) {
+  const ranges = [];
+  for (const shot of shots) {
+    const spoken = speech.reduce((sum, s) => sum + Math.max(0, Math.min(shot.end, s.end) - Math.max(shot.start, s.start)), 0);
+    const confidence = shot.face_coverage * Math.min(1, shot.mouth_activity / MOUTH_ACTIVITY_MIN);
+    const sync = spoken >= 0.3 && confidence >= minConfidence;
+    const last = ranges[ranges.length - 1];
+    if (!sync && last && !last.sync) {
+      last.end = shot.end;
+      continue;
+    }
+    ranges.push({ start: shot.start, end: shot.end, sync, confidence: +confidence.toFixed(3), shot });
+  }
+  return ranges;
+}
+
+/**
+ * Concatenate shot clips and lay the full dubbed track under them
+ */
+function joinShots(parts, audioPath, outputPath, jobId, lang = null) {
+  return runFfmpeg([
+    ...parts.flatMap(p => ['-i', p.path]),
+    '-i', audioPath,
+    '-filter_complex', concatGraph(parts, jobId),
+    '-map', '[v]', '-map', `${parts.length}:a:0`,
+    '-c:v', 'libx264', '-preset', 'fast', '-crf', '18', '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac', '-b:a', '192k',
+    '-shortest', '-y', outputPath
+  ], jobId, 'Shot join', lang ? { duration: mediaDuration(jobId), onProgress: progressBand(jobId, lang, 88, 90) } : undefined);
+}
+
+/**
+ * filter_complex joining video parts ({ path, duration }, one input each)
+ * into [v]. Each is trimmed to its slot and brought to the source size and
+ * rate, since lip-sync models render at their own, so the joins land on
+ * exact frames. `then` filters run on the joined picture.
+ */
+function concatGraph(parts, jobId, then = []) {
+  const source = sourceVideo(jobId);
+  const normalize = [
+    ...(source?.width && source?.height ? [`scale=${even(source.width)}:${even(source.height)}`] : []),
+    'setsar=1',
+    ...(source?.frameRate ? [`fps=${source.frameRate}`] : [])
+  ].join(',');
+  return parts.map((p, i) => `[${i}:v]trim=duration=${p.duration.toFixed(3)},setpts=PTS-STARTPTS,${normalize}[v${i}]`).join(';')
+    + `;${parts.map((_, i) => `[v${i}]`).join('')}concat=n=${parts.length}:v=1:a=0${then.map(f => `,${f}`).join('')}[v]`;
+}
+
+// Requires: pip install -r Wav2Lip/requirements.txt
+const WAV2LIP_DIR = path.join(__dirname, 'Wav2Lip');
+const wav2lipModel = () => process.env.WAV2LIP_MODEL || path.join(__dirname, 'models', 'wav2lip_gan.pth');
+
+registerProvider('lipsync', {
+  id: 'wav2lip',
+  name: 'Wav2Lip HD',
+  description: 'GAN-based lip-sync over the original footage with high fidelity face reconstruction.',
+  tags: ['HIGH QUALITY'],
+  available: () => fs.existsSync(WAV2LIP_DIR) && fs.existsSync(wav2lipModel()),
+  sync({ videoPath, dubbedAudioPath, outputPath, quality, faceMargin, shot, jobId }) {
+    const resize = quality === 'ultra' ? 1 : 2;
+    const args = [
+      'inference.py',
+      '--checkpoint_path', wav2lipModel(),
+      '--face', videoPath,
+      '--audio', dubbedAudioPath,
+      '--outfile', outputPath,
+      '--resize_factor', String(resize),
+      ...wav2lipFaceArgs(faceMargin, shot, resize, jobId)
+    ];
+
+    return new Promise((resolve, reject) => {
+      const proc = spawnTracked(jobId, 'python3', args, { cwd: WAV2LIP_DIR });
+      pipeProcessLogs(jobId, proc, 'wav2lip', tqdmProgress(() => {}));
+      proc.on('close', code => code === 0 ? resolve(outputPath) : reject(new Error(`inference.py exited with code ${code}`)));
+      proc.on('error', () => reject(new Error('python3 not found')));
+    });
+  }
+});
+
+/**
+ * Face margin (px) as Wav2Lip --pads: the full margin below to keep the
+ * chin, half on the other sides. A shot whose face stays put gets a fixed
+ * --box instead, which skips Wav2Lip's own per-frame detection; Wav2Lip
+ * ignores pads then, so the margin is added to the box here.
+ */
+function wav2lipFaceArgs(margin = DEFAULT_FACE_MARGIN, shot, resize, jobId) {
+  const half = Math.round(margin / 2);
+  if (!shot?.stable || !shot.box) return ['--pads', String(half), String(margin), String(half), String(half)];
+
+  const source = sourceVideo(jobId);
+  const [x1, y1, x2, y2] = shot.box;
+  const clamp = (v, max) => Math.round(Math.min(max ?? Infinity, Math.max(0, v)) / resize);
+  // Wav2Lip's box order is top, bottom, left, right, in resized-frame pixels
+  return ['--box', ...[
+    clamp(y1 - half, source?.height), clamp(y2 + margin, source?.height),
+    clamp(x1 - half, source?.width), clamp(x2 + half, source?.width)
+  ].map(String)];
+}
+
+// Requires: git clone https://github.com/OpenTalker/SadTalker (see requirement.txt)
+const SADTALKER_DIR = process.env.SADTALKER_DIR || path.join(__dirname, 'SadTalker');
+
+registerProvider('lipsync', {
+  id: 'sadtalker',
+  name: 'SadTalker Fast',
+  description: 'Lightweight 3D talking head animated from a single frame. Best for real-time previews.',
+  tags: ['FAST', '3D MESH'],
+  available: () => fs.existsSync(path.join(SADTALKER_DIR, 'inference.py')) && fs.existsSync(path.join(SADTALKER_DIR, 'checkpoints')),
+  async sync({ videoPath, dubbedAudioPath, outputPath, framesDir, shot, jobId, lang }) {
+    // SadTalker drives a still image: the shot's clearest face, else the first extracted frame
+    let sourceImage = framesDir && fs.existsSync(framesDir)
+      ? (shot?.frame ? [path.join(framesDir, shot.frame)] : fs.readdirSync(framesDir).filter(f => f.endsWith('.jpg')).sort().map(f => path.join(framesDir, f)))[0]
+      : null;
+    if (!sourceImage || !fs.existsSync(sourceImage)) {
+      sourceImage = path.join(__dirname, 'temp', `${jobId}_still.jpg`);
+      await runFfmpeg(['-i', videoPath, '-frames:v', '1', '-q:v', '2', '-y', sourceImage], jobId, 'Still frame extraction');
+    }
+
+    const resultDir = path.join(__dirname, 'temp', `${jobId}_${lang}_sadtalker`);
+    await new Promise((resolve, reject) => {
+      const proc = spawnTracked(jobId, 'python3', [
+        'inference.py',
+        '--driven_audio', dubbedAudioPath,
+        '--source_image', sourceImage,
+        '--result_dir', resultDir,
+        '--preprocess', 'full',
+        '--still'
+      ], { cwd: SADTALKER_DIR });
+      pipeProcessLogs(jobId, proc, 'sadtalker', tqdmProgress(() => {}));
+      proc.on('close', code => code === 0 ? resolve() : reject(new Error(`inference.py exited with code ${code}`)));
+      proc.on('error', () => reject(new Error('python3 not found')));
+    });
+
+    const rendered = fs.readdirSync(resultDir, { recursive: true }).filter(f => String(f).endsWith('.mp4'));
+    if (!rendered.length) throw new Error('no video produced');
+    fs.renameSync(path.join(resultDir, String(rendered[0])), outputPath);
+    return outputPath;
+  }
+});
+
+registerProvider('lipsync', {
+  id: 'merge',
+  name: 'Audio merge (no lip sync)',
+  description: 'Keeps the original picture and swaps in the dubbed audio track.',
+  tags: ['FALLBACK'],
+  available: () => true,
+  degraded: true,
+  sync: ({ videoPath, dubbedAudioPath, outputPath, shot, chunk, jobId, lang }) =>
+    mergeAudioOnly(videoPath, dubbedAudioPath, outputPath, jobId, lang, { quiet: !!(shot || chunk) })
+});
+
+/**
+ * Fallback — merge dubbed audio onto original video (no lip sync)
+ */
+async function mergeAudioOnly(videoPath, audioPath, outputPath, jobId, lang, { quiet = false } = {}) {
+  throwIfCancelled(jobId);
+  // Quiet when merging one shot or chunk of many; the caller reports progress
+  if (!quiet) reportProgress(jobId, lang, { stage: 'pill-lipsync', progress: 86, message: 'Merging dubbed audio with video...' });
+
+  return new Promise((resolve, reject) => {
+    const proc = spawnTracked(jobId, 'ffmpeg', [
+      '-hide_banner', '-loglevel', 'error', '-progress', 'pipe:1', '-nostats',
+      '-i', videoPath,
+      '-i', audioPath,
+      '-c:v', 'copy',
+      '-map', '0:v:0', '-map', '1:a:0',
+      '-shortest', '-y', outputPath
+    ]);
+    pipeProcessLogs(jobId, proc, 'ffmpeg', quiet ? undefined : ffmpegProgress(mediaDuration(jobId), progressBand(jobId, lang, 86, 90)));
+
+    proc.on('close', code => {
+      if (!quiet) reportProgress(jobId, lang, { progress: 90 });
+      code === 0 ? resolve(outputPath) : reject(new Error('Audio merge failed'));
+    });
+
+    proc.on('error', () => reject(new Error('ffmpeg not found')));
+  });
+}
+
+// ── Render Profiles ──
+// Encodings a job can ask for with `render_profiles` (a comma-separated list).
+// `h264` is the master MP4 every job gets — the preview, the quality report
+// and packaging use it. The others are encoded alongside it per language;
+// `hls` and `dash` package all of the job's languages at once.
+const RENDER_PROFILES = {
+  h264: {
+    label: 'MP4 · H.264', ext: 'mp4',
+    video: ['-c:v', 'libx264', '-preset', 'fast', '-crf', '23'], audio: ['-c:a', 'aac', '-b:a', '192k']
+  },
+  'h264-1080p': {
+    label: 'MP4 · H.264 1080p, 6 Mbps', ext: 'mp4', height: 1080,
+    video: ['-c:v', 'libx264', '-preset', 'fast', '-b:v', '6M', '-maxrate', '6M', '-bufsize', '12M'], audio: ['-c:a', 'aac', '-b:a', '192k']
+  },
+  'h264-720p': {
+    label: 'MP4 · H.264 720p, 3 Mbps', ext: 'mp4', height: 720,
+    video: ['-c:v', 'libx264', '-preset', 'fast', '-b:v', '3M', '-maxrate', '3M', '-bufsize', '6M'], audio: ['-c:a', 'aac', '-b:a', '160k']
+  },
+  'h264-480p': {
+    label: 'MP4 · H.264 480p, 1.2 Mbps', ext: 'mp4', height: 480,
+    video: ['-c:v', 'libx264', '-preset', 'fast', '-b:v', '1200k', '-maxrate', '1200k', '-bufsize', '2400k'], audio: ['-c:a', 'aac', '-b:a', '128k']
+  },
+  h265: {
+    label: 'MP4 · H.265/HEVC', ext: 'mp4',
+    video: ['-c:v', 'libx265', '-preset', 'medium', '-crf', '28', '-tag:v', 'hvc1'], audio: ['-c:a', 'aac', '-b:a', '192k']
+  },
+  vp9: {
+    label: 'WebM · VP9', ext: 'webm',
+    video: ['-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-deadline', 'good', '-cpu-used', '4', '-row-mt', '1'], audio: ['-c:a', 'libopus', '-b:a', '128k']
+  },
+  av1: {
+    label: 'MP4 · AV1', ext: 'mp4',
+    video: ['-c:v', 'libaom-av1', '-crf', '32', '-b:v', '0', '-cpu-used', '6', '-row-mt', '1'], audio: ['-c:a', 'aac', '-b:a', '192k']
+  },
+  m4a: {
+    label: 'Audio only · AAC', ext: 'm4a',
+    video: null, audio: ['-c:a', 'aac', '-b:a', '192k']
+  },
+  hls: {
+    label: 'HLS · H.264 + one audio track per language', package: 'hls', entry: 'master.m3u8',
+    video: ['-c:v', 'libx264', '-preset', 'fast', '-crf', '23'], audio: ['-c:a', 'aac', '-b:a', '128k']
+  },
+  dash: {
+    label: 'DASH · H.264 + one audio track per language', package: 'dash', entry: 'manifest.mpd',
+    video: ['-c:v', 'libx264', '-preset', 'fast', '-crf', '23'], audio: ['-c:a', 'aac', '-b:a', '128k']
+  }
+};
+const DEFAULT_RENDER_PROFILE = 'h264';
+const PACKAGE_SEGMENT_SECONDS = 4;
+
+let ffmpegEncoders;
+/**
+ * Encoders in the installed ffmpeg build (checked once), or null if there
+ * is no ffmpeg to ask
+ */
+function availableEncoders() {
+  if (ffmpegEncoders === undefined) {
+    try {
+      const list = execSync('ffmpeg -hide_banner -encoders', { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+      ffmpegEncoders = new Set(list.split('\n').map(line => line.trim().split(/\s+/)[1]).filter(Boolean));
+    } catch {
+      ffmpegEncoders = null;
+    }
+  }
+  return ffmpegEncoders;
+}
+
+/**
+ * Encoders a profile needs that this ffmpeg lacks
+ */
+function missingEncoders(profile) {
+  const encoders = availableEncoders();
+  if (!encoders) return [];
+  const codecs = [profile.video, profile.audio].filter(Boolean).map(args => args[args.findIndex(a => /^-c:[va]$/.test(a)) + 1]);
+  return codecs.filter(codec => !encoders.has(codec));
+}
+
+function describeRenderProfiles() {
+  return Object.entries(RENDER_PROFILES).map(([id, p]) => ({
+    id, label: p.label, format: p.package || p.ext, height: p.height || null,
+    audio_only: !p.video, default: id === DEFAULT_RENDER_PROFILE, available: !missingEncoders(p).length
+  }));
+}
+
+/**
+ * Output size for a profile: the source size, or scaled down (never up) to
+ * the profile's height, keeping the aspect ratio. Null if the source is unknown.
+ */
+function renderSize(jobId, profile) {
+  const source = sourceVideo(jobId);
+  if (!source?.width || !source?.height) return profile.height ? { width: -2, height: profile.height } : null;
+  const height = Math.min(source.height, profile.height || source.height);
+  return { width: even(source.width * height / source.height), height: even(height) };
+}
+
+/**
+ * Step 7 — Final render and encode, in the master profile or another named
+ * one. `subtitles` is null, { mode: 'burn', path }
+ * with an ASS file to draw into the picture, or { mode: 'soft', tracks } with
+ * SRT files to mux as selectable streams. `lipsync` is one video or,
+ * for a chunked job, the chunks' videos as [{ path, duration }], joined here
+ * on exact frames; the soundtrack is then required, as one unbroken track.
+ */
+async function finalRender(lipsync, jobId, soundtrackPath, lang, subtitles = null, profileId = DEFAULT_RENDER_PROFILE) {
+  const profile = RENDER_PROFILES[profileId];
+  const master = profileId === DEFAULT_RENDER_PROFILE;
+  const stage = master ? `final:${lang}` : `render:${profileId}:${lang}`;
+  // Only the master render moves the progress bar; the others are quick by comparison
+  reportProgress(jobId, lang, {
+    stage: 'pill-render', ...(master ? { progress: 94 } : {}),
+    message: master ? 'Encoding final output...' : `Encoding ${profile.label}...`
+  });
+  const finalPath = path.join(__dirname, 'outputs', master
+    ? `${jobId}_${lang}_dubbed_final.mp4`
+    : `${jobId}_${lang}_${profileId}.${profile.ext}`);
+
+  return new Promise((resolve, reject) => {
+    // Lip sync runs on the dry dub; the mixed soundtrack replaces it here
+    const parts = Array.isArray(lipsync) ? lipsync : [{ path: lipsync }];
+    let args;
+    if (profile.video) {
+      const soft = subtitles?.mode === 'soft' ? subtitles.tracks : [];
+      const firstSub = parts.length + (soundtrackPath ? 1 : 0);
+      // Lip-sync models work at their own size and rate; put the source's back
+      const source = sourceVideo(jobId);
+      const size = renderSize(jobId, profile);
+      // The ass filter's path syntax is awkward to escape, so it is given relative to cwd
+      const burn = subtitles?.mode === 'burn' ? [`ass=${path.basename(subtitles.path)}`] : [];
+      const filters = [...(size ? [`scale=${size.width}:${size.height}`, 'setsar=1'] : []), ...burn];
+      const video = Array.isArray(lipsync)
+        ? ['-filter_complex', concatGraph(parts, jobId, [...burn, ...(profile.height && size ? [`scale=${size.width}:${size.height}`] : [])]), '-map', '[v]']
+        : ['-map', '0:v:0', ...(filters.length ? ['-vf', filters.join(',')] : [])];
+      args = [
+        ...parts.flatMap(p => ['-i', p.path]),
+        ...(soundtrackPath ? ['-i', soundtrackPath] : []),
+        ...soft.flatMap(t => ['-i', t.path]),
+        ...video,
+        '-map', soundtrackPath ? `${parts.length}:a:0` : '0:a:0?',
+        ...soft.flatMap((t, i) => ['-map', `${firstSub + i}:0`]),
+        ...(soundtrackPath ? ['-shortest'] : []),
+        ...(source?.frameRate ? ['-r', source.frameRate] : []),
+        ...profile.video, '-pix_fmt', 'yuv420p',
+        ...profile.audio,
+        ...(soft.length ? ['-c:s', profile.ext === 'webm' ? 'webvtt' : 'mov_text'] : []),
+        ...soft.flatMap((t, i) => [
+          `-metadata:s:s:${i}`, `language=${ISO639_2[t.lang] || 'und'}`,
+          `-metadata:s:s:${i}`, `title=${t.title}`
+        ])
+      ];
+    } else {
+      args = ['-i', soundtrackPath || parts[0].path, '-map', '0:a:0', '-vn', ...profile.audio];
+    }
+    const proc = spawnTracked(jobId, 'ffmpeg', [
+      '-hide_banner', '-loglevel', 'error', '-progress', 'pipe:1', '-nostats',
+      ...args,
+      ...(profile.ext === 'webm' ? [] : ['-movflags', '+faststart']),
+      '-metadata:s:a:0', `language=${ISO639_2[lang] || 'und'}`,
+      '-y', finalPath
+    ], subtitles?.mode === 'burn' && profile.video ? { cwd: path.dirname(subtitles.path) } : undefined);
+    pipeProcessLogs(jobId, proc, 'ffmpeg', master
+      ? ffmpegProgress(mediaDuration(jobId), progressBand(jobId, lang, 94, 98))
+      : ffmpegProgress(null, () => {}));
+
+    proc.on('close', code => {
+      if (code === 0) {
+        reportStage(jobId, stage, { provider: 'ffmpeg' });
+        if (master) reportProgress(jobId, lang, { progress: 98 });
+        resolve(finalPath);
+      } else {
+        reject(new Error(`${master ? 'Final render' : `${profile.label} render`} failed`));
+      }
+    });
+
+    proc.on('error', () => {
+      if (!master) return reject(new Error('ffmpeg not found'));
+      // If ffmpeg not available, hand back the un-encoded lip-sync output
+      try {
+        reportStage(jobId, stage, { provider: 'none', degraded: true, reason: 'ffmpeg not installed' });
+      } catch (err) {
+        return reject(err);
+      }
+      reportProgress(jobId, lang, { progress: 98, message: 'Demo render (ffmpeg not installed)' });
+      resolve(parts[0].path);
+    });
+  });
+}
+
+/**
+ * An extra profile that fails to encode is reported as a degraded stage
+ * rather than failing a dub whose master render is already done
+ */
+function renderFailed(jobId, stage, err) {
+  throwIfCancelled(jobId);
+  console.warn(`[Render] ${stage} failed:`, err.message);
+  reportStage(jobId, stage, { provider: 'none', degraded: true, reason: err.message });
+  return null;
+}
+
+/**
+ * Step 8 — Package every finished language as one HLS or DASH stream: a
+ * single video rendition (the first language's lip-synced picture, with
+ * keyframes on segment boundaries) and each language's soundtrack as its
+ * own audio track. Resolves the package directory under outputs/.
+ */
+async function packageStream(jobId, profileId, outputs) {
+  const profile = RENDER_PROFILES[profileId];
+  const langs = Object.keys(outputs);
+  const dir = path.join(__dirname, 'outputs', `${jobId}_${profileId}`);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  updateJob(jobId, { message: `Packaging ${profile.label}...` });
+
+  const fps = parseRate(sourceVideo(jobId)?.frameRate) || 25;
+  const gop = String(Math.round(fps * PACKAGE_SEGMENT_SECONDS));
+  const format = profile.package === 'hls' ? [
+    '-f', 'hls', '-hls_time', String(PACKAGE_SEGMENT_SECONDS), '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(dir, '%v_%05d.ts'),
+    '-master_pl_name', profile.entry,
+    '-var_stream_map', ['v:0,agroup:dub', ...langs.map((lang, i) => `a:${i},agroup:dub,language:${lang},name:${lang}${i ? '' : ',default:yes'}`)].join(' '),
+    path.join(dir, '%v.m3u8')
+  ] : [
+    '-f', 'dash', '-seg_duration', String(PACKAGE_SEGMENT_SECONDS), '-use_template', '1', '-use_timeline', '1',
+    // One adaptation set per language, so players offer them as a choice
+    '-adaptation_sets', ['id=0,streams=v', ...langs.map((_, i) => `id=${i + 1},streams=${i + 1}`)].join(' '),
+    path.join(dir, profile.entry)
+  ];
+
+  await runFfmpeg([
+    '-i', outputs[langs[0]].video,
+    ...langs.flatMap(lang => ['-i', outputs[lang].audio]),
+    '-map', '0:v:0', ...langs.flatMap((_, i) => ['-map', `${i + 1}:a:0`]),
+    ...profile.video, '-pix_fmt', 'yuv420p', '-g', gop, '-keyint_min', gop, '-sc_threshold', '0',
+    ...profile.audio, '-ar', '48000',
+    ...langs.flatMap((lang, i) => [`-metadata:s:a:${i}`, `language=${ISO639_2[lang] || 'und'}`]),
+    ...format
+  ], jobId, `${profile.label} packaging`);
+
+  reportStage(jobId, `package:${profileId}`, { provider: 'ffmpeg', notes: langs.length > 1
+    ? [`${profile.label}: the picture is lip-synced to ${LANGUAGES[langs[0]] || langs[0]}; other languages are audio tracks over it`]
+    : [] });
+  return dir;
+}
+
+function speakerSummary(diarization) {
+  return Object.entries(diarization.speakers).map(([label, s]) => ({
+    label, segments: s.segments, speech_seconds: s.speech
+  }));
+}
+
+/**
+ * Run a pipeline stage once and record its artifact on the job.
+ * If the stage already completed (e.g. before a restart) and its artifact
+ * is still on disk, the stored result is returned instead of re-running it.
+ * Pass `jsonPath` for stages that return data rather than a file path.
+ */
+async function runStage(jobId, stage, fn, jsonPath) {
+  const done = jobs.get(jobId)?.artifacts?.[stage];
+  if (done && fs.existsSync(done.path)) {
+    console.log(`[Resume] ${jobId} — reusing ${stage} artifact`);
+    return done.json ? JSON.parse(fs.readFileSync(done.path, 'utf-8')) : done.path;
+  }
+
+  throwIfCancelled(jobId);
+  const result = await fn();
+  throwIfCancelled(jobId);
+  if (result == null) return result;
+
+  if (jsonPath) {
+    fs.writeFileSync(jsonPath, JSON.stringify(result, null, 2));
+    recordArtifact(jobId, stage, jsonPath, true);
+  } else {
+    recordArtifact(jobId, stage, result);
+  }
+  return result;
+}
+
+/**
+ * Full pipeline orchestrator
+ *
+ * Extraction, transcription and diarization run once; translation through
+ * render then fans out per target language, each with its own artifacts.
+ */
+async function runPipeline(jobId, videoPath, { langFrom, langTo, voiceMode, quality, numSpeakers, audioBlend, providers: providerChoice = {}, review, reviewApproved, subtitleMode = 'none', subtitleTrack = 'target', transcriptImport, glossaryId, renderProfiles = [], voices: voiceChoice = {} }) {
+  const targets = [].concat(langTo);
+  const job = jobs.get(jobId);
+  updateJob(jobId, {
+    status: 'running',
+    languages: Object.fromEntries(targets.map(lang => [lang, job.languages?.[lang] || { status: 'queued', progress: 0 }]))
+  });
+  const tempPath = suffix => path.join(__dirname, 'temp', jobId + suffix);
+
+  try {
+    // Normally probed at upload; jobs from before that (or without ffprobe
+    // at the time) are probed here. Duration drives the progress percentages.
+    if (!job.meta.media) {
+      const media = await probeMedia(videoPath, jobId).catch(() => null);
+      if (media) updateJob(jobId, { meta: { ...job.meta, media, duration: media.duration } });
+    }
+
+    // Stages reuse cached results for the same source contents and parameters
+    const source = CACHE_CONFIG.enabled ? await sourceHash(jobId, videoPath) : null;
+    const fps = sourceVideo(jobId)?.frameRate || 25;
+
+    // 1. Extract
+    const audioPath  = await runStage(jobId, 'audio', () => cachedStage(jobId, 'audio', { source },
+      () => extractAudio(videoPath, jobId)));
+    const stems      = await runStage(jobId, 'separation',
+      () => stageLimiters.separate.run(
+        () => cachedStage(jobId, 'separation', { source, model: process.env.SEPARATION_MODEL || 'htdemucs' },
+          () => separateAudio(videoPath, jobId)),
+        pos => updateJob(jobId, { message: `Waiting for a separation slot (#${pos})...` }),
+        jobSignal(jobId)
+      ), tempPath('_stems.json'));
+    const framesDir  = await runStage(jobId, 'frames', () => cachedStage(jobId, 'frames', { source, fps },
+      () => extractFrames(videoPath, jobId)));
+    const faces      = framesDir
+      ? await runStage(jobId, 'faces', () => cachedStage(jobId, 'faces', {
+        source, fps, threshold: process.env.SHOT_CHANGE_THRESHOLD || null, sampleFps: process.env.FACE_SAMPLE_FPS || null
+      }, () => detectFaces(framesDir, jobId)), tempPath('_faces.json'))
+      : null;
+
+    const chunks     = await runStage(jobId, 'chunks', () => planChunks(jobId, videoPath, audioPath, {
+      faces, avoid: transcriptImport ? parseTranscriptFile(transcriptImport.path, transcriptImport.format) : []
+    }), tempPath('_chunks.json'));
+
+    // 2. Transcribe, unless captions or a script came with the upload
+    const asrParams = {
+      source, lang: langFrom, provider: providerChoice.asr || null, order: providerOrder('asr'),
+      model: process.env.WHISPER_MODEL || 'base', chunks: chunks && chunks.chunks.map(c => [c.start, c.end])
+    };
+    const rawTranscript = await runStage(jobId, 'transcript',
+      () => transcriptImport ? importTranscript(transcriptImport, jobId)
+        : cachedStage(jobId, 'transcript', asrParams, () => chunks ? transcribeChunks(chunks, langFrom, jobId, providerChoice.asr)
+          : stageLimiters.transcribe.run(
+            () => transcribeAudio(audioPath, langFrom, jobId, providerChoice.asr),
+            pos => updateJob(jobId, { message: `Waiting for a transcription slot (#${pos})...` }),
+            jobSignal(jobId)
+          )), tempPath('_transcript.json'));
+
+    // 2b. Who speaks when
+    const diarization = await runStage(jobId, 'diarization',
+      () => cachedStage(jobId, 'diarization', {
+        source, numSpeakers, transcript: cacheKey('transcript', rawTranscript), referenceSeconds: SPEAKER_REF_SECONDS
+      }, () => diarizeSpeakers(audioPath, rawTranscript, numSpeakers, jobId)), tempPath('_diarization.json'));
+    const transcript = applySpeakers(rawTranscript, diarization);
+    updateJob(jobId, { speakers: speakerSummary(diarization) });
+
+    // Captions in a target language hold no source-language text, so there
+    // is no source or bilingual subtitle track to make from them
+    const textLang = transcriptImport?.lang || langFrom;
+    const sourceLang = textLang === langFrom ? transcript.language || langFrom : null;
+    const shared = { videoPath, audioPath, framesDir, faces, chunks, stems, transcript, diarization, sourceLang, voiceMode, voiceChoice, quality, audioBlend, providerChoice, subtitleMode, subtitleTrack, renderProfiles };
+    targets.forEach(lang => reportProgress(jobId, lang, { status: 'running', progress: 45 }));
+
+    // 3. Translate every target first, so review sees them all at once
+    const translations = {};
+    for (const lang of targets) {
+      translations[lang] = await runStage(jobId, `translation:${lang}`,
+        () => transcriptImport?.lang === lang
+          ? importedTranslation(transcript, lang, jobId)
+          : translateText(transcript, textLang, lang, jobId, providerChoice.translate, glossaryId), tempPath(`_${lang}_translated.json`));
+    }
+
+    // Review mode: pause here until the segments are approved via /resume
+    if (review && !reviewApproved) {
+      targets.forEach(lang => reportProgress(jobId, lang, { status: 'awaiting_review' }));
+      updateJob(jobId, {
+        status: 'awaiting_review', stage: 'pill-translate', progress: 60,
+        message: 'Awaiting transcript review'
+      });
+      return;
+    }
+
+    // 4–6. Synthesize, lip sync and render each language
+    const results = await Promise.allSettled(targets.map(lang =>
+      dubLanguage(jobId, lang, translations[lang], shared)));
+    throwIfCancelled(jobId);
+
+    const outputs = {};
+    results.forEach((r, i) => {
+      const lang = targets[i];
+      if (r.status === 'fulfilled') {
+        outputs[lang] = r.value;
+        reportProgress(jobId, lang, { status: 'done', stage: 'complete', progress: 100, message: 'Dubbing complete!' });
+      } else {
+        console.error(`[Pipeline Error] ${lang}:`, r.reason.message);
+        reportProgress(jobId, lang, { status: 'error', message: r.reason.message });
+      }
+    });
+
+    const failed = targets.filter(lang => !outputs[lang]);
+    if (failed.length === targets.length) throw results[0].reason;
+    // Strict jobs are all-or-nothing: a language that failed its checks fails the job
+    if (failed.length && job.meta.strict) throw results[targets.indexOf(failed[0])].reason;
+
+    // 8. HLS/DASH packages of the languages that finished
+    const packages = {};
+    for (const profileId of renderProfiles.filter(id => RENDER_PROFILES[id].package)) {
+      packages[profileId] = await runStage(jobId, `package:${profileId}`,
+        () => packageStream(jobId, profileId, outputs).catch(err => renderFailed(jobId, `package:${profileId}`, err)));
+    }
+
+    // Chunk stages (`dubbed:es#3`) are listed once per stage
+    const degraded = [...new Set(Object.keys(job.stageReports)
+      .filter(stage => job.stageReports[stage].degraded).map(stage => stage.replace(/#\d+$/, '')))];
+    const notes = [
+      failed.length && `failed: ${failed.join(', ')}`,
+      degraded.length && `degraded: ${degraded.join(', ')}`
+    ].filter(Boolean);
+    updateJob(jobId, {
+      status: 'done',
+      stage: 'complete',
+      progress: 100,
+      message: notes.length ? `Dubbing complete (${notes.join('; ')})` : 'Dubbing complete!',
+      outputs,
+      packages
+    });
+
+    // Temp files go at the next storage sweep after RETAIN_TEMP_MINUTES
+
+  } catch (err) {
+    if (isCancelled(jobId)) {
+      console.log(`[Pipeline] ${jobId} cancelled`);
+      cleanupTemp(jobId);
+      cleanupOutputs(jobId);
+      return;
+    }
+    console.error('[Pipeline Error]', err.message);
+    updateJob(jobId, { status: 'error', message: err.message });
+  }
+}
+
+/**
+ * Per-language half of the pipeline: synthesis, background mix, lip sync,
+ * final render and subtitles. Resolves that language's output paths.
+ */
+async function dubLanguage(jobId, lang, translated, { videoPath, audioPath, framesDir, faces, chunks, stems, transcript, diarization, sourceLang, voiceMode, voiceChoice, quality, audioBlend, providerChoice, subtitleMode, subtitleTrack, renderProfiles }) {
+  // 4. Synthesize, in the voice picked for this language if there is one
+  const voice = resolveVoice(voiceChoice[lang]);
+  if (voiceChoice[lang] && !voice) throw new Error(`Voice ${voiceChoice[lang]} no longer exists`);
+  const dubbedAudio = await runStage(jobId, `dubbed:${lang}`,
+    () => chunks
+      ? synthesizeChunks(translated, audioPath, lang, voiceMode, jobId, diarization.speakers, providerChoice.tts, chunks, voice)
+      : stageLimiters.tts.run(
+        () => synthesizeVoice(translated, audioPath, lang, voiceMode, jobId, diarization.speakers, providerChoice.tts, null, voice),
+        pos => reportProgress(jobId, lang, { message: `Waiting for a TTS slot (#${pos})...` }),
+        jobSignal(jobId)
+      ));
+
+  // 4b. Put music/effects back under the dub (not when synthesis fell back to the original audio)
+  const soundtrack = stems.background && dubbedAudio !== audioPath
+    ? await runStage(jobId, `mix:${lang}`, () => mixWithBackground(dubbedAudio, stems.background, audioBlend, jobId, lang))
+    : null;
+
+  // 5. Lip sync (per chunk for long inputs; finalRender joins the chunks)
+  const lipsyncOptions = { provider: providerChoice.lipsync, framesDir, faces, speech: translated.translatedSegments };
+  const lipsync = chunks
+    ? await lipSyncChunks(dubbedAudio, quality, jobId, lang, lipsyncOptions, chunks)
+    : await runStage(jobId, `lipsync:${lang}`,
+      () => stageLimiters.lipsync.run(
+        () => runLipSync(videoPath, dubbedAudio, quality, jobId, lang, lipsyncOptions),
+        pos => reportProgress(jobId, lang, { message: `Waiting for a lip-sync slot (#${pos})...` }),
+        jobSignal(jobId)
+      ));
+
+  // 6. Subtitles, then the final render (which may burn or mux them in)
+  const subtitles = generateSubtitles(translated, jobId, lang, sourceLang);
+  const render = subtitleMode === 'burn' ? { mode: 'burn', path: subtitles[subtitleTrack].ass }
+    : subtitleMode === 'soft' ? { mode: 'soft', tracks: [
+      { path: subtitles.target.srt, lang, title: LANGUAGES[lang] },
+      subtitles.source && { path: subtitles.source.srt, lang: sourceLang, title: LANGUAGES[sourceLang] || sourceLang }
+    ].filter(Boolean) }
+    : null;
+  const finalPath = await runStage(jobId, `final:${lang}`, () => finalRender(lipsync, jobId, soundtrack || (chunks && dubbedAudio), lang, render));
+
+  // 6b. Any other file profiles the job asked for (packages come after every language)
+  const renders = {};
+  for (const profileId of renderProfiles.filter(id => !RENDER_PROFILES[id].package)) {
+    renders[profileId] = await runStage(jobId, `render:${profileId}:${lang}`,
+      () => finalRender(lipsync, jobId, soundtrack || (chunks && dubbedAudio), lang, render, profileId)
+        .catch(err => renderFailed(jobId, `render:${profileId}:${lang}`, err)));
+  }
+
+  // 6c. The soundtrack and the dry voice are deliverables too, so they live
+  // in outputs/ under output retention rather than with the temp files
+  const audioOut = path.join(__dirname, 'outputs', `${jobId}_${lang}_audio.wav`);
+  const voiceOut = path.join(__dirname, 'outputs', `${jobId}_${lang}_voice.wav`);
+  fs.copyFileSync(soundtrack || dubbedAudio, audioOut);
+  fs.copyFileSync(dubbedAudio, voiceOut);
+
+  // 7. Score the result; a report that can't be produced doesn't fail the dub
+  const report = await runStage(jobId, `report:${lang}`,
+    () => evaluateDub(jobId, lang, { videoPath: finalPath, sourceAudio: stems.vocals || audioPath, dubbedAudio, transcript, translated })
+      .catch(err => {
+        throwIfCancelled(jobId);
+        console.warn(`[Quality] No report for ${lang}:`, err.message);
+        return null;
+      }),
+    path.join(__dirname, 'outputs', `${jobId}_${lang}_report.json`));
+
+  return {
+    video: finalPath, srt: subtitles.target.srt, subtitles, audio: audioOut, voice: voiceOut, renders,
+    report: report && { json: path.join(__dirname, 'outputs', `${jobId}_${lang}_report.json`), html: reportHtmlPath(jobId, lang) },
+    quality: report?.summary || null
+  };
+}
+
+/**
+ * Re-queue jobs that were queued or running when the server last stopped.
+ * Running jobs go first, and each continues from its last completed stage.
+ */
+function resumeInterruptedJobs() {
+  const interrupted = Array.from(jobs.values())
+    .filter(j => j.status === 'queued' || j.status === 'running')
+    .sort((a, b) => (a.status === 'running' ? 0 : 1) - (b.status === 'running' ? 0 : 1) || a.createdAt - b.createdAt);
+  interrupted.forEach(job => {
+    const completed = Object.keys(job.artifacts || {});
+    console.log(`[Resume] ${job.id} — completed stages: ${completed.join(', ') || 'none'}`);
+    updateJob(job.id, { status: 'queued', message: 'Resuming after restart...' });
+    enqueueJob(job.id);
+  });
+  return interrupted.length;
+}
+
+// ── Subtitles ──
+// Every language gets three tracks — target, source and bilingual (target
+// over source) — each written as SRT, WebVTT, ASS, TTML and JSON.
+const SUBTITLE_LIMITS = {
+  maxChars: parseInt(process.env.SUBTITLE_MAX_CHARS, 10) || 42,       // per line
+  maxLines: parseInt(process.env.SUBTITLE_MAX_LINES, 10) || 2,        // per cue
+  maxCps: parseFloat(process.env.SUBTITLE_MAX_CPS) || 17,             // reading speed, chars/second
+  minDuration: parseFloat(process.env.SUBTITLE_MIN_DURATION) || 1     // seconds
+};
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass', 'ttml', 'json'];
+const SUBTITLE_TRACKS = ['target', 'source', 'bilingual'];
+const SUBTITLE_MODES = ['none', 'soft', 'burn'];
+
+// ISO 639-2 codes for stream language tags
+const ISO639_2 = {
+  en:'eng', es:'spa', fr:'fra', de:'deu', it:'ita', pt:'por',
+  ru:'rus', zh:'zho', ja:'jpn', ko:'kor', ar:'ara', hi:'hin'
+};
+
+/**
+ * Write every subtitle track and format for one target language.
+ * Returns { target: { srt: path, vtt: path, ... }, source: {...}, bilingual: {...} };
+ * source and bilingual only when there is source-language text (`sourceLang`).
+ */
+function generateSubtitles(translated, jobId, lang, sourceLang) {
+  const segments = translated.translatedSegments || [{ start: 0, end: 5, sourceText: '', text: translated.translatedText || '' }];
+  const tracks = {
+    target: { lang, cues: buildCues(segments) },
+    ...(sourceLang && {
+      source: { lang: sourceLang, cues: buildCues(segments.map(s => ({ ...s, text: s.sourceText || '' }))) },
+      bilingual: { lang, cues: buildBilingualCues(segments) }
+    })
+  };
+
+  const files = {};
+  for (const [track, { lang: trackLang, cues }] of Object.entries(tracks)) {
+    files[track] = {};
+    for (const format of SUBTITLE_FORMATS) {
+      const suffix = track === 'target' ? '' : `_${track}`;
+      const filePath = path.join(__dirname, 'outputs', `${jobId}_${lang}_subtitles${suffix}.${format}`);
+      fs.writeFileSync(filePath, SUBTITLE_WRITERS[format](cues, { lang: trackLang, track }));
+      files[track][format] = filePath;
+    }
+  }
+  return files;
+}
+
+/**
+ * Wrap and split segments into cues within SUBTITLE_LIMITS. A line that reads
+ * too fast borrows time from the gap before the next one; a line too long for
+ * one cue is split, with the time shared out by character count.
+ */
+function buildCues(segments, limits = SUBTITLE_LIMITS) {
+  const cues = [];
+  segments.forEach((seg, i) => {
+    const text = String(seg.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    const end = readableEnd(seg, text, segments[i + 1]?.start, limits);
+
+    const groups = chunk(wrapText(text, limits.maxChars), limits.maxLines);
+    const total = groups.reduce((sum, g) => sum + g.join(' ').length, 0);
+    let start = seg.start;
+    groups.forEach((lines, g) => {
+      const cueEnd = g === groups.length - 1 ? end : start + (end - seg.start) * lines.join(' ').length / total;
+      cues.push({ start, end: cueEnd, lines, speaker: seg.speaker, segment: seg.id });
+      start = cueEnd;
+    });
+  });
+  return cues;
+}
+
+/**
+ * One cue per segment: the target lines with the source lines underneath.
+ * Both sides are wrapped but not split, so the pair always stays together.
+ */
+function buildBilingualCues(segments, limits = SUBTITLE_LIMITS) {
+  return segments.map((seg, i) => {
+    const text = String(seg.text || '').replace(/\s+/g, ' ').trim();
+    const source = String(seg.sourceText || '').replace(/\s+/g, ' ').trim();
+    if (!text && !source) return null;
+    return {
+      start: seg.start,
+      end: readableEnd(seg, text, segments[i + 1]?.start, limits),
+      lines: wrapText(text, limits.maxChars),
+      secondary: wrapText(source, limits.maxChars),
+      speaker: seg.speaker,
+      segment: seg.id
+    };
+  }).filter(Boolean);
+}
+
+function readableEnd(seg, text, nextStart = Infinity, { maxCps, minDuration }) {
+  const needed = Math.max(minDuration, text.length / maxCps);
+  return Math.max(seg.end, Math.min(seg.start + needed, nextStart));
+}
+
+/**
+ * Greedy word wrap. Words longer than a line (or unspaced scripts such as
+ * Chinese and Japanese) are broken at maxChars.
+ */
+function wrapText(text, maxChars) {
+  const lines = [];
+  let line = '';
+  for (let word of text.split(' ').filter(Boolean)) {
+    while (word.length > maxChars) {
+      if (line) { lines.push(line); line = ''; }
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+    }
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= maxChars) line += ' ' + word;
+    else { lines.push(line); line = word; }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+const escapeXml = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const cueLines = cue => [...cue.lines, ...(cue.secondary || [])];
+
+const SUBTITLE_WRITERS = {
+  srt: cues => cues.map((c, i) =>
+    `${i + 1}\n${fmtTimestamp(c.start, ',')} --> ${fmtTimestamp(c.end, ',')}\n${cueLines(c).join('\n')}\n`).join('\n'),
+
+  vtt: (cues, { lang }) => `WEBVTT\nLanguage: ${lang}\n\n` + cues.map(c =>
+    `${fmtTimestamp(c.start, '.')} --> ${fmtTimestamp(c.end, '.')}\n${cueLines(c).map(l => l.replace(/&/g, '&amp;').replace(/</g, '&lt;')).join('\n')}\n`).join('\n'),
+
+  ass: cues => [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    'PlayResX: 1920',
+    'PlayResY: 1080',
+    'WrapStyle: 2',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    'Style: Default,Arial,54,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,2,60,60,50,1',
+    'Style: Source,Arial,40,&H00C8C8C8,&H000000FF,&H00000000,&H80000000,0,-1,0,0,100,100,0,0,1,2,1,2,60,60,50,1',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...cues.map(c => {
+      // Braces start ASS override tags, so keep them out of the dialogue text
+      const text = c.lines.join('\\N').replace(/[{}]/g, '')
+        + (c.secondary?.length ? `\\N{\\rSource}${c.secondary.join('\\N').replace(/[{}]/g, '')}` : '');
+      return `Dialogue: 0,${fmtAssTime(c.start)},${fmtAssTime(c.end)},Default,${c.speaker || ''},0,0,0,,${text}`;
+    })
+  ].join('\n') + '\n',
+
+  ttml: (cues, { lang }) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tt xmlns="http://www.w3.org/ns/ttml" xml:lang="${escapeXml(lang)}">`,
+    '  <body>',
+    '    <div>',
+    ...cues.map(c => `      <p begin="${fmtTimestamp(c.start, '.')}" end="${fmtTimestamp(c.end, '.')}">${cueLines(c).map(escapeXml).join('<br/>')}</p>`),
+    '    </div>',
+    '  </body>',
+    '</tt>'
+  ].join('\n') + '\n',
+
+  json: (cues, { lang, track }) => JSON.stringify({
+    lang,
+    track,
+    cues: cues.map((c, i) => ({
+      index: i + 1,
+      start: +c.start.toFixed(3),
+      end: +c.end.toFixed(3),
+      segment: c.segment,
+      speaker: c.speaker,
+      text: c.lines.join('\n'),
+      ...(c.secondary && { source: c.secondary.join('\n') })
+    }))
+  }, null, 2)
+};
+
+/**
+ * HH:MM:SS<sep>mmm. Rounds to whole milliseconds first, so 1.9996 s is
+ * 00:00:02,000 rather than 00:00:01,1000.
+ */
+function fmtTimestamp(sec, sep) {
+  const total = Math.round(Math.max(0, sec) * 1000);
+  const h = Math.floor(total / 3600000);
+  const m = Math.floor(total % 3600000 / 60000);
+  const s = Math.floor(total % 60000 / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${String(total % 1000).padStart(3, '0')}`;
+}
+
+// ASS wants H:MM:SS.cc
+function fmtAssTime(sec) {
+  const total = Math.round(Math.max(0, sec) * 100);
+  const h = Math.floor(total / 360000);
+  const m = Math.floor(total % 360000 / 6000);
+  const s = Math.floor(total % 6000 / 100);
+  return `${h}:${pad(m)}:${pad(s)}.${pad(total % 100)}`;
+}
+
+// ── Quality report ──
+// Step 8 scores the finished dub per segment: audio-visual sync (offset and
+// score from scripts/syncscore.py), how far each dubbed line drifted from
+// its original slot, and how its loudness compares with the original
+// speech. Segments past any QUALITY_* limit are flagged for review.
+const QUALITY_LIMITS = {
+  maxOffsetMs: parseFloat(process.env.QUALITY_MAX_OFFSET_MS) || 120,      // audio/mouth offset
+  minSyncScore: parseFloat(process.env.QUALITY_MIN_SYNC_SCORE) || 0.2,    // 0..1 correlation at that offset
+  maxDrift: parseFloat(process.env.QUALITY_MAX_DRIFT) || 0.3,             // seconds, either edge of the line
+  maxLoudnessDiff: parseFloat(process.env.QUALITY_MAX_LOUDNESS_DIFF) || 6 // dB against the original speech
+};
+
+async function evaluateDub(jobId, lang, { videoPath, sourceAudio, dubbedAudio, transcript, translated }) {
+  reportProgress(jobId, lang, { stage: 'pill-render', progress: 98, message: 'Scoring sync and timing...' });
+  const sourceById = new Map(transcriptSegments(transcript).map((s, i) => [s.id ?? i, s]));
+  const placement = readPlacement(dubbedAudio);
+  const segments = translated.translatedSegments.filter(s => s.end > s.start).map(s => {
+    const source = sourceById.get(s.id) || s;
+    const placed = placement?.[s.id] || null;
+    return { id: s.id, start: source.start, end: source.end, text: s.text, placed };
+  });
+
+  const [sourcePcm, dubPcm] = await Promise.all([readPcm(sourceAudio, jobId), readPcm(dubbedAudio, jobId)]);
+  let sync = null;
+  let syncError = null;
+  try {
+    sync = await scoreSync(videoPath, dubbedAudio, segments.map(s => ({ id: s.id, ...(s.placed || s) })), jobId, lang);
+  } catch (err) {
+    throwIfCancelled(jobId);
+    syncError = err.message;
+    console.warn('[Quality] Sync scoring unavailable — timing and loudness only:', err.message);
+  }
+
+  const rows = segments.map(seg => {
+    const range = seg.placed || seg;
+    const sourceDb = rmsDb(sourcePcm, seg.start, seg.end);
+    const dubDb = rmsDb(dubPcm, range.start, range.end);
+    const row = {
+      id: seg.id,
+      start: seg.start,
+      end: seg.end,
+      text: seg.text,
+      sync: sync?.get(seg.id) || null,
+      drift: seg.placed ? {
+        start: +(seg.placed.start - seg.start).toFixed(3),
+        end: +(seg.placed.end - seg.end).toFixed(3),
+        tempo: seg.placed.tempo,
+        truncated: seg.placed.truncated
+      } : null,
+      loudness: { source_db: sourceDb, dub_db: dubDb, diff_db: sourceDb != null && dubDb != null ? +(dubDb - sourceDb).toFixed(1) : null }
+    };
+    row.flags = qualityFlags(row, !!placement);
+    return row;
+  });
+
+  const mean = values => values.length ? +(values.reduce((a, b) => a + b, 0) / values.length).toFixed(3) : null;
+  const scored = rows.filter(r => r.sync?.score != null);
+  const flagged = rows.filter(r => r.flags.length);
+  const report = {
+    job_id: jobId,
+    lang,
+    created_at: new Date().toISOString(),
+    scorer: sync ? 'syncscore' : null,
+    scorer_error: syncError,
+    limits: QUALITY_LIMITS,
+    summary: {
+      segments: rows.length,
+      scored: scored.length,
+      mean_sync_score: mean(scored.map(r => r.sync.score)),
+      mean_abs_offset_ms: mean(scored.map(r => Math.abs(r.sync.offset_ms))),
+      mean_abs_drift: mean(rows.filter(r => r.drift).map(r => Math.max(Math.abs(r.drift.start), Math.abs(r.drift.end)))),
+      mean_loudness_diff_db: mean(rows.filter(r => r.loudness.diff_db != null).map(r => r.loudness.diff_db)),
+      flagged: flagged.map(r => r.id)
+    },
+    segments: rows
+  };
+
+  fs.writeFileSync(reportHtmlPath(jobId, lang), reportHtml(report));
+  reportStage(jobId, `report:${lang}`, {
+    provider: sync ? 'syncscore' : 'timing-only',
+    notes: flagged.length ? [`${flagged.length} segment(s) flagged for review: #${flagged.map(r => r.id).join(', #')}`] : []
+  });
+  reportProgress(jobId, lang, { progress: 99 });
+  return report;
+}
+
+const reportHtmlPath = (jobId, lang) => path.join(__dirname, 'outputs', `${jobId}_${lang}_report.html`);
+
+function qualityFlags({ sync, drift, loudness }, voiced) {
+  const flags = [];
+  if (sync?.offset_ms != null && Math.abs(sync.offset_ms) > QUALITY_LIMITS.maxOffsetMs) flags.push(`sync offset ${sync.offset_ms} ms`);
+  if (sync?.score != null && sync.score < QUALITY_LIMITS.minSyncScore) flags.push(`low sync score ${sync.score}`);
+  if (voiced && !drift) flags.push('not voiced');
+  if (drift && Math.max(Math.abs(drift.start), Math.abs(drift.end)) > QUALITY_LIMITS.maxDrift) flags.push(`drifts ${drift.start}s / ${drift.end}s`);
+  if (drift?.truncated) flags.push('cut short');
+  if (loudness.diff_db != null && Math.abs(loudness.diff_db) > QUALITY_LIMITS.maxLoudnessDiff) flags.push(`${loudness.diff_db > 0 ? 'louder' : 'quieter'} by ${Math.abs(loudness.diff_db)} dB`);
+  return flags;
+}
+
+/**
+ * Where synthesizeVoice placed each line, keyed by segment id; null when the
+ * dub fell back to the original audio.
+ */
+function readPlacement(dubbedAudio) {
+  const file = dubbedAudio.replace(/\.wav$/, '_placement.json');
+  if (!fs.existsSync(file)) return null;
+  return Object.fromEntries(JSON.parse(fs.readFileSync(file, 'utf-8')).map(p => [p.id, p]));
+}
+
+const PCM_RATE = 8000;
+
+/** Decode to 8 kHz mono 16-bit samples */
+function readPcm(filePath, jobId) {
+  return new Promise((resolve, reject) => {
+    const proc = spawnTracked(jobId, 'ffmpeg', ['-hide_banner', '-loglevel', 'error', '-i', filePath, '-ac', '1', '-ar', String(PCM_RATE), '-f', 's16le', 'pipe:1']);
+    const chunks = [];
+    proc.stdout.on('data', d => chunks.push(d));
+    proc.on('close', code => {
+      if (code !== 0) return reject(new Error(`Could not decode ${path.basename(filePath)} (code ${code})`));
+      const buf = Buffer.concat(chunks);
+      resolve(new Int16Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length - buf.length % 2)));
+    });
+    proc.on('error', () => reject(new Error('ffmpeg not found')));
+  });
+}
+
+/** RMS level of [start, end] seconds in dBFS, null if silent or out of range */
+function rmsDb(samples, start, end) {
+  const from = Math.max(0, Math.floor(start * PCM_RATE));
+  const to = Math.min(samples.length, Math.ceil(end * PCM_RATE));
+  if (to <= from) return null;
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+  const rms = Math.sqrt(sum / (to - from)) / 32768;
+  return rms > 0 ? +(20 * Math.log10(rms)).toFixed(1) : null;
+}
+
+/**
+ * Run scripts/syncscore.py over the rendered video and the dry dub.
+ * Resolves a Map of segment id → { face, offset_ms, score, confidence }.
+ */
+async function scoreSync(videoPath, dubbedAudio, segments, jobId, lang) {
+  const base = path.join(__dirname, 'temp', `${jobId}_${lang}_sync`);
+  await runFfmpeg(['-i', dubbedAudio, '-ac', '1', '-ar', '16000', '-y', `${base}.wav`], jobId, 'Sync audio conversion');
+  fs.writeFileSync(`${base}_segments.json`, JSON.stringify(segments));
+
+  return new Promise((resolve, reject) => {
+    const proc = spawnTracked(jobId, 'python3', [
+      path.join(__dirname, 'scripts', 'syncscore.py'), videoPath, `${base}.wav`, `${base}_segments.json`, `${base}.json`
+    ]);
+    let stderr = '';
+    proc.stderr.on('data', d => stderr += d.toString());
+    pipeProcessLogs(jobId, proc, 'syncscore', tqdmProgress(() => {}));
+    proc.on('close', code => {
+      if (code !== 0) return reject(new Error(stderr.trim().split('\n').pop() || `exit code ${code}`));
+      try {
+        const { segments: scores } = JSON.parse(fs.readFileSync(`${base}.json`, 'utf-8'));
+        resolve(new Map(scores.map(({ id, ...score }) => [id, score])));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    proc.on('error', () => reject(new Error('python3 not found')));
+  });
+}
+
+function reportHtml(report) {
+  const fmt = v => v == null ? '—' : String(v);
+  const rows = report.segments.map(r => `
+      <tr${r.flags.length ? ' class="flag"' : ''}>
+        <td>#${r.id}</td><td>${fmtTimestamp(r.start, '.')}</td><td>${escapeXml(r.text || '')}</td>
+        <td>${fmt(r.sync?.offset_ms)}</td><td>${fmt(r.sync?.score)}</td>
+        <td>${r.drift ? `${r.drift.start} / ${r.drift.end}` : '—'}</td><td>${fmt(r.drift?.tempo)}</td>
+        <td>${fmt(r.loudness.source_db)} → ${fmt(r.loudness.dub_db)}</td>
+        <td>${escapeXml(r.flags.join('; '))}</td>
+      </tr>`).join('');
+  const s = report.summary;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>SyncLab quality report — ${escapeXml(report.job_id)} (${escapeXml(report.lang)})</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 24px; color: #1a1a2e; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f4f4f8; }
+    tr.flag td { background: #fff3e0; }
+    .summary { display: flex; gap: 24px; flex-wrap: wrap; margin: 12px 0 20px; }
+    .summary div { font-size: 13px; } .summary b { display: block; font-size: 20px; }
+  </style>
+</head>
+<body>
+  <h1>Quality report</h1>
+  <p>Job ${escapeXml(report.job_id)} · ${escapeXml(report.lang)} · ${escapeXml(report.created_at)}${report.scorer ? '' : ` · sync not scored (${escapeXml(report.scorer_error || 'scorer unavailable')})`}</p>
+  <div class="summary">
+    <div><b>${s.segments}</b>segments</div>
+    <div><b>${s.flagged.length}</b>flagged</div>
+    <div><b>${fmt(s.mean_sync_score)}</b>mean sync score</div>
+    <div><b>${fmt(s.mean_abs_offset_ms)}</b>mean |offset| ms</div>
+    <div><b>${fmt(s.mean_abs_drift)}</b>mean |drift| s</div>
+    <div><b>${fmt(s.mean_loudness_diff_db)}</b>mean loudness diff dB</div>
+  </div>
+  <table>
+    <thead><tr><th>Segment</th><th>Start</th><th>Text</th><th>Offset ms</th><th>Sync</th><th>Drift s (start / end)</th><th>Tempo</th><th>Level dBFS</th><th>Flags</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+// ── Storage manager ──
+// A periodic sweep (and one at startup, so a restart loses nothing) applies
+// the retention below to jobs that have stopped, removes files no job owns
+// any more, and, over STORAGE_MAX_GB, expires the oldest finished jobs'
+// files first. Retention is in the unit named; `never` keeps forever.
+function retention(name, fallback) {
+  const value = process.env[name];
+  if (value === 'never') return Infinity;
+  return value !== undefined && value !== '' && !isNaN(parseFloat(value)) ? parseFloat(value) : fallback;
+}
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const STORAGE_CONFIG = {
+  tempMs: retention('RETAIN_TEMP_MINUTES', 5) * 60 * 1000,     // intermediates, once a job stops
+  uploadMs: retention('RETAIN_UPLOAD_DAYS', 7) * DAY,          // source videos and transcripts
+  outputMs: retention('RETAIN_OUTPUT_DAYS', 30) * DAY,         // renders, subtitles, reports, packages
+  reviewMs: retention('RETAIN_REVIEW_DAYS', 14) * DAY,         // jobs left awaiting review are cancelled after this
+  jobMs: retention('RETAIN_JOB_DAYS', 90) * DAY,               // the job record itself
+  cacheMs: retention('RETAIN_CACHE_DAYS', 30) * DAY,           // stage cache entries, since last used
+  maxBytes: (parseFloat(process.env.STORAGE_MAX_GB) || Infinity) * 1024 ** 3,
+  sweepMs: (parseFloat(process.env.STORAGE_SWEEP_MINUTES) || 5) * 60 * 1000,
+  orphanGraceMs: HOUR                                          // uploads not yet attached to a job
+};
+const STORAGE_DIRS = ['uploads', 'temp', 'outputs'];
+const ACTIVE_STATUSES = ['queued', 'running', 'awaiting_review'];
+
+function pathSize(file) {
+  try {
+    const stat = fs.statSync(file);
+    return stat.isDirectory()
+      ? fs.readdirSync(file).reduce((sum, name) => sum + pathSize(path.join(file, name)), 0)
+      : stat.size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Files under uploads/, temp/ and outputs/ that belong to a job
+ */
+function jobFiles(job) {
+  const under = (dir, prefix) => fs.readdirSync(path.join(__dirname, dir))
+    .filter(f => f.startsWith(prefix)).map(f => path.join(__dirname, dir, f));
+  return {
+    uploads: [job.meta.videoPath, job.meta.transcriptImport?.path].filter(f => f && fs.existsSync(f)),
+    temp: under('temp', `${job.id}_`),
+    outputs: under('outputs', job.id)
+  };
+}
+
+function jobStorage(job) {
+  const files = jobFiles(job);
+  const bytes = Object.fromEntries(STORAGE_DIRS.map(dir => [dir, files[dir].reduce((sum, f) => sum + pathSize(f), 0)]));
+  return { ...bytes, total: bytes.uploads + bytes.temp + bytes.outputs };
+}
+
+/**
+ * When a stopped job's outputs are due to be removed (null while it runs)
+ */
+function outputsExpireAt(job) {
+  if (ACTIVE_STATUSES.includes(job.status) || job.expiredAt) return null;
+  const at = job.updatedAt + STORAGE_CONFIG.outputMs;
+  return Number.isFinite(at) ? at : null;
+}
+
+/**
+ * Remove a stopped job's outputs (and anything it still holds); the record
+ * stays, marked expired, until RETAIN_JOB_DAYS
+ */
+function expireJob(job, reason) {
+  cleanupTemp(job.id);
+  cleanupOutputs(job.id);
+  cleanupUploads(job);
+  job.expiredAt = Date.now();
+  syncStorage(job);
+  console.log(`[Storage] Expired ${job.id} (${reason})`);
+}
+
+/**
+ * Files in the storage dirs that no known job accounts for
+ */
+function orphanFiles() {
+  const known = new Set(jobs.keys());
+  const uploads = new Set(Array.from(jobs.values()).flatMap(j => [j.meta.videoPath, j.meta.transcriptImport?.path]).filter(Boolean));
+  const now = Date.now();
+  return STORAGE_DIRS.flatMap(dir => fs.readdirSync(path.join(__dirname, dir)).map(f => path.join(__dirname, dir, f)))
+    .filter(file => {
+      const name = path.basename(file);
+      if (name.startsWith('.')) return false;
+      if (path.basename(path.dirname(file)) === 'uploads') {
+        // An upload is only attached once its request passes validation
+        let mtime = now;
+        try { mtime = fs.statSync(file).mtimeMs; } catch {}
+        return !uploads.has(file) && !ingesting.has(file) && now - mtime > STORAGE_CONFIG.orphanGraceMs;
+      }
+      return !known.has(name.slice(0, 36));
+    });
+}
+
+/**
+ * One pass of the sweeper. Returns what it removed.
+ */
+function sweepStorage() {
+  const now = Date.now();
+  const removed = { temp: 0, uploads: 0, expired: 0, jobs: 0, orphans: 0, abandoned: 0, cache: 0 };
+
+  for (const job of Array.from(jobs.values())) {
+    const idle = now - job.updatedAt;
+    if (job.status === 'awaiting_review' && idle > STORAGE_CONFIG.reviewMs) {
+      cancelJob(job.id);
+      console.log(`[Storage] Cancelled ${job.id} — review not completed in time`);
+      removed.abandoned++;
+      continue;
+    }
+    if (ACTIVE_STATUSES.includes(job.status)) continue;
+
+    if (idle > STORAGE_CONFIG.jobMs) {
+      cleanupTemp(job.id);
+      cleanupOutputs(job.id);
+      cleanupUploads(job);
+      removeJob(job.id);
+      removed.jobs++;
+      continue;
+    }
+    if (!job.expiredAt && idle > STORAGE_CONFIG.outputMs) {
+      expireJob(job, 'retention');
+      removed.expired++;
+      continue;
+    }
+    const files = jobFiles(job);
+    if (idle > STORAGE_CONFIG.tempMs && files.temp.length) {
+      cleanupTemp(job.id);
+      removed.temp++;
+    }
+    if (idle > STORAGE_CONFIG.uploadMs && files.uploads.length) {
+      cleanupUploads(job);
+      syncStorage(job);
+      removed.uploads++;
+    }
+  }
+
+  // Batch records go with the last of their jobs
+  for (const batch of Array.from(batches.values())) {
+    if (now - batch.createdAt > STORAGE_CONFIG.jobMs && batch.items.every(i => !i.jobId || !jobs.has(i.jobId))) {
+      removeBatch(batch.id);
+    }
+  }
+
+  for (const file of orphanFiles()) {
+    try { fs.rmSync(file, { recursive: true, force: true }); removed.orphans++; } catch {}
+  }
+
+  const cached = cacheEntries().sort((a, b) => a.usedAt - b.usedAt);
+  for (const entry of cached.filter(e => now - e.usedAt > STORAGE_CONFIG.cacheMs)) {
+    fs.rmSync(entry.dir, { recursive: true, force: true });
+    removed.cache++;
+  }
+
+  // Over the disk limit: drop the stage cache, then expire finished jobs, least recently used first
+  if (Number.isFinite(STORAGE_CONFIG.maxBytes)) {
+    let used = STORAGE_DIRS.reduce((sum, dir) => sum + pathSize(path.join(__dirname, dir)), 0) + pathSize(CACHE_DIR);
+    for (const entry of cached.filter(e => fs.existsSync(e.dir))) {
+      if (used <= STORAGE_CONFIG.maxBytes) break;
+      used -= pathSize(entry.dir);
+      fs.rmSync(entry.dir, { recursive: true, force: true });
+      removed.cache++;
+    }
+    const candidates = Array.from(jobs.values())
+      .filter(j => !ACTIVE_STATUSES.includes(j.status) && !j.expiredAt)
+      .sort((a, b) => a.updatedAt - b.updatedAt);
+    for (const job of candidates) {
+      if (used <= STORAGE_CONFIG.maxBytes) break;
+      used -= jobStorage(job).total;
+      expireJob(job, 'disk limit');
+      removed.expired++;
+    }
+    if (used > STORAGE_CONFIG.maxBytes) {
+      console.warn(`[Storage] Still over STORAGE_MAX_GB (${(used / 1024 ** 3).toFixed(2)} GB) — only running jobs are left`);
+    }
+  }
+
+  if (Object.values(removed).some(Boolean)) console.log('[Storage] Sweep:', JSON.stringify(removed));
+  return removed;
+}
+
+function startStorageSweeper() {
+  const sweep = () => {
+    try { sweepStorage(); } catch (err) { console.error('[Storage] Sweep failed:', err.message); }
+  };
+  sweep();
+  setInterval(sweep, STORAGE_CONFIG.sweepMs).unref();
+}
+
+function cleanupUploads(job) {
+  [job.meta.videoPath, job.meta.transcriptImport?.path].filter(Boolean).forEach(f => {
+    try { fs.unlinkSync(f); } catch {}
+  });
+}
+
+function cleanupTemp(jobId) {
+  const dir = path.join(__dirname, 'temp');
+  fs.readdirSync(dir).filter(f => f.startsWith(`${jobId}_`)).forEach(f => {
+    try { fs.rmSync(path.join(dir, f), { recursive: true, force: true }); } catch {}
+  });
+}
+
+function cleanupOutputs(jobId) {
+  const dir = path.join(__dirname, 'outputs');
+  fs.readdirSync(dir).filter(f => f.startsWith(jobId)).forEach(f => {
+    // HLS/DASH packages are directories
+    try { fs.rmSync(path.join(dir, f), { recursive: true, force: true }); } catch {}
+  });
+}
+
+function pad(n) { return String(n).padStart(2,'0'); }
+
+// ── Batches ──
+// A batch is a manifest of videos, each dubbed as an ordinary job with its
+// own settings. Sources are fetched and queued one at a time in the
+// background (held back by the owner's concurrent-job quota), so a large
+// manifest never floods the queue. Mirrored to data/batches/<id>.json.
+const BATCHES_DIR = path.join(__dirname, 'data', 'batches');
+if (!fs.existsSync(BATCHES_DIR)) fs.mkdirSync(BATCHES_DIR, { recursive: true });
+
+const BATCH_CONFIG = {
+  maxItems: parseInt(process.env.BATCH_MAX_ITEMS, 10) || 500,
+  // Directories manifest entries may name local files under; none by default
+  localRoots: (process.env.BATCH_LOCAL_ROOTS || '').split(',').map(r => r.trim()).filter(Boolean).map(r => path.resolve(r)),
+  allowPrivateUrls: process.env.BATCH_ALLOW_PRIVATE_URLS === 'true',
+  fetchTimeoutMs: (parseFloat(process.env.BATCH_FETCH_TIMEOUT_SECONDS) || 600) * 1000,   // per download, body included
+  maxQueued: parseInt(process.env.BATCH_MAX_QUEUED, 10) || 10,   // batches stop fetching while this many jobs wait for a pipeline
+  pollMs: 5000
+};
+
+const batches = new Map();
+const ingesting = new Set();   // upload paths still being written, kept from the orphan sweep
+
+function persistBatch(batch) {
+  const file = path.join(BATCHES_DIR, `${batch.id}.json`);
+  try {
+    fs.writeFileSync(file + '.tmp', JSON.stringify(batch, null, 2));
+    fs.renameSync(file + '.tmp', file);
+  } catch (err) {
+    console.error('[Batch] Failed to persist batch', batch.id, err.message);
+  }
+}
+
+function loadBatches() {
+  for (const name of fs.readdirSync(BATCHES_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const batch = JSON.parse(fs.readFileSync(path.join(BATCHES_DIR, name), 'utf-8'));
+      batches.set(batch.id, batch);
+    } catch (err) {
+      console.warn('[Batch] Skipping unreadable batch file', name, err.message);
+    }
+  }
+  return batches.size;
+}
+
+function removeBatch(id) {
+  batches.delete(id);
+  try { fs.unlinkSync(path.join(BATCHES_DIR, `${id}.json`)); } catch {}
+}
+
+/**
+ * Minimal RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF
+ */
+function parseCsv(text) {
+  const rows = [[]];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      rows[rows.length - 1].push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      rows[rows.length - 1].push(field);
+      field = '';
+      rows.push([]);
+    } else {
+      field += c;
+    }
+  }
+  rows[rows.length - 1].push(field);
+  return rows.filter(row => row.some(v => v.trim()));
+}
+
+/**
+ * Manifest → { defaults, items: [{ source, settings }] }. JSON is an array of
+ * items or { defaults, items }; CSV has a header row. Either way an item is
+ * `source` (an http(s) URL or a server path) plus any POST /api/dub fields.
+ */
+function parseManifest(text, format) {
+  let defaults = {};
+  let entries;
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text.replace(/^﻿/, ''));
+    if (!header) throw requestError('The CSV manifest is empty');
+    const columns = header.map(h => h.trim());
+    if (!columns.includes('source')) throw requestError('The CSV manifest needs a `source` column');
+    entries = rows.map(row => Object.fromEntries(columns.map((c, i) => [c, row[i]?.trim()]).filter(([, v]) => v)));
+  } else {
+    let data;
+    try {
+      data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (err) {
+      throw requestError(`Invalid JSON manifest: ${err.message}`);
+    }
+    entries = Array.isArray(data) ? data : data?.items;
+    defaults = Array.isArray(data) ? {} : data?.defaults || {};
+    if (!Array.isArray(entries)) throw requestError('The manifest needs an `items` array');
+  }
+
+  if (!entries.length) throw requestError('The manifest lists no videos');
+  if (entries.length > BATCH_CONFIG.maxItems) throw requestError(`A batch holds at most ${BATCH_CONFIG.maxItems} videos`);
+  const items = entries.map((entry, i) => {
+    const { source, ...settings } = typeof entry === 'string' ? { source: entry } : entry || {};
+    if (!source || typeof source !== 'string') throw requestError(`items[${i}]: source is required`);
+    return { source: source.trim(), settings };
+  });
+  return { defaults, items };
+}
+
+/**
+ * Whether an address is loopback, private, link-local or otherwise internal
+ */
+function isPrivateAddress(address) {
+  const v4 = address.replace(/^::ffff:/i, '');
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(v4)) {
+    const [a, b] = v4.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || a >= 224;
+  }
+  const v6 = address.toLowerCase();
+  return v6 === '::1' || v6 === '::' || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6);
+}
+
+function privateHostError(hostname) {
+  return requestError(`${hostname} is a private address (set BATCH_ALLOW_PRIVATE_URLS=true to allow)`);
+}
+
+// Downloads resolve host names through this lookup, so the address checked
+// is the address connected to: a DNS-rebinding host can't pass the check
+// with a public address and then connect to an internal one.
+const downloadAgent = new UndiciAgent({
+  connect: {
+    lookup(hostname, options, callback) {
+      dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (!BATCH_CONFIG.allowPrivateUrls && addresses.some(a => isPrivateAddress(a.address))) {
+          return callback(privateHostError(hostname));
+        }
+        callback(null, address, family);
       });
-      const data = await res.json();
-      updateJob(jobId, { progress: 58 });
-      return { ...transcript, translatedText: data.translations[0].text };
+    }
+  }
+});
+
+/** IP literals never reach the lookup, so they are checked up front */
+function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (!BATCH_CONFIG.allowPrivateUrls && net.isIP(host) && isPrivateAddress(host)) throw privateHostError(hostname);
+}
+
+function uploadPathFor(name) {
+  return path.join(__dirname, 'uploads', `${Date.now()}-${name.replace(/[^\w.-]/g, '_')}`);
+}
+
+/**
+ * Download an http(s) source into uploads/, following up to 5 redirects and
+ * checking every hop's address, the content type and the upload size limit.
+ * The whole download, redirects and body included, times out after
+ * BATCH_FETCH_TIMEOUT_SECONDS so one slow server can't stall a batch.
+ */
+async function downloadSource(url) {
+  try {
+    return await fetchToUploads(url, AbortSignal.timeout(BATCH_CONFIG.fetchTimeoutMs));
+  } catch (err) {
+    if (err.status) throw err;
+    if (err.cause?.status) throw err.cause;   // the private-address check, from inside the connection
+    if (err.name === 'TimeoutError') throw requestError(`Download of ${url} timed out after ${BATCH_CONFIG.fetchTimeoutMs / 1000}s`);
+    throw requestError(`Download of ${url} failed: ${err.cause?.message || err.message}`);
+  }
+}
+
+async function fetchToUploads(url, signal) {
+  const limit = MEDIA_LIMITS.uploadMb * 1024 * 1024;
+  let current = new URL(url);
+  for (let hop = 0; hop <= 5; hop++) {
+    if (!['http:', 'https:'].includes(current.protocol)) throw requestError(`Only http(s) URLs can be fetched: ${current.protocol}`);
+    assertPublicHost(current.hostname);
+    const res = await undiciFetch(current, { redirect: 'manual', dispatcher: downloadAgent, signal });
+    if (res.status >= 300 && res.status < 400 && res.headers.get('location')) {
+      await res.body?.cancel();
+      current = new URL(res.headers.get('location'), current);
+      continue;
+    }
+    if (!res.ok) throw requestError(`Download failed: HTTP ${res.status} from ${current.host}`);
+
+    const name = decodeURIComponent(path.basename(current.pathname)) || 'video.mp4';
+    const type = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const generic = !type || type === 'application/octet-stream' || type === 'binary/octet-stream';
+    if (!Object.values(VIDEO_TYPES).includes(type) && !(generic && VIDEO_TYPES[path.extname(name).toLowerCase()])) {
+      throw requestError(`${current.host} sent ${type || 'no content type'}, not a supported video`);
+    }
+    if (Number(res.headers.get('content-length')) > limit) {
+      throw requestError(`File exceeds the ${MEDIA_LIMITS.uploadMb} MB upload limit`, 413);
+    }
+
+    const file = uploadPathFor(name);
+    ingesting.add(file);
+    const out = fs.createWriteStream(file);
+    let size = 0;
+    try {
+      for await (const chunk of res.body) {
+        size += chunk.length;
+        if (size > limit) throw requestError(`File exceeds the ${MEDIA_LIMITS.uploadMb} MB upload limit`, 413);
+        if (!out.write(chunk)) await once(out, 'drain');
+      }
+      out.end();
+      await finished(out);
+    } catch (err) {
+      out.destroy();
+      fs.unlink(file, () => {});
+      throw err;
+    } finally {
+      ingesting.delete(file);
+    }
+    return { path: file, originalname: name, size };
+  }
+  throw requestError(`Too many redirects fetching ${url}`);
+}
+
+/**
+ * Copy a server-local source into uploads/ (the sweeper later deletes
+ * uploads, never the original). Only files under BATCH_LOCAL_ROOTS.
+ */
+async function copyLocalSource(source) {
+  let real;
+  try {
+    real = fs.realpathSync(path.resolve(source));
+  } catch {
+    throw requestError(`No such file: ${source}`);
+  }
+  if (!BATCH_CONFIG.localRoots.some(root => real.startsWith(root + path.sep))) {
+    throw requestError(`${source} is not under a directory listed in BATCH_LOCAL_ROOTS`);
+  }
+  if (!VIDEO_TYPES[path.extname(real).toLowerCase()]) throw requestError(`${path.basename(real)} is not a supported video type`);
+  const { size } = fs.statSync(real);
+  if (size > MEDIA_LIMITS.uploadMb * 1024 * 1024) throw requestError(`File exceeds the ${MEDIA_LIMITS.uploadMb} MB upload limit`, 413);
+
+  const file = uploadPathFor(path.basename(real));
+  ingesting.add(file);
+  try {
+    await fs.promises.copyFile(real, file);
+  } finally {
+    ingesting.delete(file);
+  }
+  return { path: file, originalname: path.basename(real), size };
+}
+
+function fetchSource(source) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(source) ? downloadSource(source) : copyLocalSource(source);
+}
+
+/**
+ * Fetch and queue a batch's pending items, in order. Resumable: items
+ * caught mid-fetch by a restart are pending again on load.
+ */
+async function runBatch(batch) {
+  for (const item of batch.items) {
+    if (item.status !== 'pending') continue;
+    if (batch.cancelledAt) break;
+    const user = batch.owner === ANONYMOUS.id ? ANONYMOUS : users.get(batch.owner);
+    if (!user) {
+      Object.assign(item, { status: 'error', error: `User ${batch.owner} no longer exists` });
+      continue;
+    }
+    // Wait for a free slot rather than failing items over the concurrency
+    // quota, or piling downloads onto an already long queue
+    const busy = () => jobQueue.length >= BATCH_CONFIG.maxQueued ||
+      (authEnabled() && usageFor(user).concurrentJobs >= quotasFor(user).concurrentJobs);
+    while (busy() && !batch.cancelledAt) {
+      await new Promise(resolve => setTimeout(resolve, BATCH_CONFIG.pollMs));
+    }
+    if (batch.cancelledAt) break;
+
+    item.status = 'fetching';
+    persistBatch(batch);
+    let video = null;
+    try {
+      video = await fetchSource(item.source);
+      // Cancelled mid-download: drop the file instead of queueing a job
+      if (batch.cancelledAt) {
+        fs.unlink(video.path, () => {});
+        item.status = 'cancelled';
+        break;
+      }
+      const { jobId } = await createDubJob(user, video, { ...batch.defaults, ...item.settings });
+      Object.assign(item, { status: 'queued', jobId });
+    } catch (err) {
+      if (video) fs.unlink(video.path, () => {});
+      console.warn(`[Batch] ${batch.id} item ${item.index + 1} (${item.source}):`, err.message);
+      Object.assign(item, { status: 'error', error: err.message });
+    }
+    persistBatch(batch);
+  }
+  persistBatch(batch);
+}
+
+/**
+ * An item's live status: its job's once it has one
+ */
+function batchItemStatus(item) {
+  if (!item.jobId) return { status: item.status, progress: item.status === 'pending' || item.status === 'fetching' ? 0 : 100 };
+  const job = jobs.get(item.jobId);
+  if (!job) return { status: 'removed', progress: 100 };
+  return { status: job.status, progress: ['done', 'error', 'cancelled'].includes(job.status) ? 100 : job.progress || 0 };
+}
+
+function batchPayload(batch) {
+  const items = batch.items.map(item => ({
+    index: item.index, source: item.source, job_id: item.jobId || null, error: item.error || null,
+    ...batchItemStatus(item)
+  }));
+  const counts = items.reduce((acc, i) => ({ ...acc, [i.status]: (acc[i.status] || 0) + 1 }), {});
+  const settled = items.every(i => ['done', 'error', 'cancelled', 'removed'].includes(i.status));
+  return {
+    batch_id: batch.id,
+    status: batch.cancelledAt ? 'cancelled' : settled ? 'done' : items.some(i => ['pending', 'fetching'].includes(i.status)) ? 'ingesting' : 'running',
+    progress: Math.round(items.reduce((sum, i) => sum + i.progress, 0) / items.length),
+    counts,
+    created_at: batch.createdAt,
+    zip_url: settled && counts.done ? `/api/batch/${batch.id}/download` : null,
+    items
+  };
+}
+
+function resumeBatches() {
+  for (const batch of batches.values()) {
+    if (batch.cancelledAt || !batch.items.some(i => i.status === 'pending' || i.status === 'fetching')) continue;
+    batch.items.filter(i => i.status === 'fetching').forEach(i => { i.status = 'pending'; });
+    runBatch(batch).catch(err => console.error('[Batch] Resume failed', batch.id, err.message));
+  }
+}
+
+// ══════════════════════════════════════
+// ── ROUTES ──
+// ══════════════════════════════════════
+
+/**
+ * Validate a dub request and queue its job. `video` and `captions` are
+ * files already on disk ({ path, originalname, size }); `fields` are the
+ * form fields of POST /api/dub. Throws a requestError; the caller removes
+ * the files.
+ */
+async function createDubJob(user, video, fields, captions = null) {
+  const { lang_from='en', lang_to='es', voice_mode='clone', quality='balanced', sync_confidence='0.85', review='false', face_margin, num_speakers, audio_blend='0.7', strict=process.env.STRICT_MODE || 'false', subtitle_mode='none', subtitle_track='target', transcript_lang, glossary_id, render_profiles = '' } = fields;
+
+  // Optional explicit provider per stage: asr_provider, translate_provider, tts_provider, lipsync_provider
+  const providerChoice = {};
+  for (const stage of PROVIDER_STAGES) {
+    const id = fields[`${stage}_provider`];
+    if (!id) continue;
+    if (!providers[stage].has(id)) throw requestError(`Unknown ${stage} provider: ${id}`);
+    providerChoice[stage] = id;
+  }
+
+  if (!SUBTITLE_MODES.includes(subtitle_mode) || !SUBTITLE_TRACKS.includes(subtitle_track)) {
+    throw requestError(`subtitle_mode must be one of ${SUBTITLE_MODES.join(', ')}; subtitle_track one of ${SUBTITLE_TRACKS.join(', ')}`);
+  }
+
+  if (glossary_id && !(glossaries.has(glossary_id) && canAccess(user, glossaries.get(glossary_id)))) {
+    throw requestError(`Unknown glossary: ${glossary_id}`);
+  }
+
+  // Extra render profiles; the master H.264 MP4 is always made
+  const renderProfiles = parseLangList(render_profiles).filter(id => id !== DEFAULT_RENDER_PROFILE);
+  const unknownProfiles = renderProfiles.filter(id => !RENDER_PROFILES[id]);
+  if (unknownProfiles.length) {
+    throw requestError(`Unknown render profile(s): ${unknownProfiles.join(', ')} — choose from ${Object.keys(RENDER_PROFILES).join(', ')}`);
+  }
+  const unsupported = renderProfiles.filter(id => missingEncoders(RENDER_PROFILES[id]).length);
+  if (unsupported.length) {
+    throw requestError(`This server's ffmpeg cannot encode ${unsupported.map(id => `${id} (no ${missingEncoders(RENDER_PROFILES[id]).join(', ')})`).join(', ')}`);
+  }
+
+  const targets = parseLangList(lang_to);
+  const invalid = targets.filter(l => l === 'auto' || !LANGUAGES[l]);
+  if (!targets.length || invalid.length) {
+    throw requestError(`Unsupported target language(s): ${invalid.join(', ') || '(none)'}`);
+  }
+  const voiceChoice = parseVoiceChoices(fields, targets, user);
+
+  // The client mimetype only gets the upload this far; ffprobe decides
+  // whether the file is something the pipeline can actually dub
+  let media = null;
+  try {
+    media = await probeMedia(video.path);
+  } catch (err) {
+    if (!/not found/.test(err.message)) throw requestError(err.message);
+    console.warn('[Probe] ffprobe not installed — skipping upload inspection');
+  }
+  if (media) {
+    const problems = mediaProblems(media);
+    if (problems.length) throw requestError(`Cannot dub ${video.originalname}: ${problems.join('; ')}`);
+  }
+
+  const overQuota = quotaProblem(user, { seconds: media?.duration || 0, bytes: video.size });
+  if (overQuota) throw requestError(overQuota, 429);
+
+  // Optional captions or script. In the source language they replace ASR; in
+  // a target language they also stand in for that language's translation,
+  // and the other targets are translated from them. langFrom stays the
+  // spoken language either way; transcriptImport.lang is the text's.
+  let transcriptImport = null;
+  let langFrom = lang_from;
+  if (captions) {
+    const lang = transcript_lang || lang_from;
+    if (lang === 'auto' || !LANGUAGES[lang]) throw requestError('transcript_lang must name the language of the uploaded transcript');
+    if (lang_from !== 'auto' && lang !== lang_from && !targets.includes(lang)) {
+      throw requestError(`transcript_lang ${lang} is neither the source language nor a target`);
+    }
+    const inTarget = lang !== lang_from && targets.includes(lang);
+    if (inTarget && subtitle_mode !== 'none' && subtitle_track !== 'target') {
+      throw requestError(`subtitle_track ${subtitle_track} needs source-language text, which captions in ${lang} (a target) don't give`);
+    }
+    const format = transcriptFormat(captions.originalname);
+    try {
+      const { segments } = validateTranscriptTiming(parseTranscriptFile(captions.path, format), media?.duration ?? null);
+      transcriptImport = { path: captions.path, format, lang, filename: captions.originalname, segments: segments.length };
     } catch (err) {
-      console.warn('[DeepL] Failed:', err.message);
+      throw requestError(err.message);
+    }
+    if (!inTarget) langFrom = lang;   // names the spoken language when lang_from was auto
+  }
+
+  const jobId = uuidv4();
+  createJob(jobId, {
+    videoPath: video.path,
+    langFrom,
+    langTo: targets,
+    voiceMode: voice_mode,
+    quality,
+    syncConfidence: parseFloat(sync_confidence),
+    faceMargin: face_margin === undefined || isNaN(parseInt(face_margin, 10)) ? DEFAULT_FACE_MARGIN : Math.max(0, parseInt(face_margin, 10)),
+    review: review === 'true' || review === true,
+    strict: strict === 'true' || strict === true,
+    numSpeakers: parseInt(num_speakers, 10) || null,
+    audioBlend: parseFloat(audio_blend),
+    providers: providerChoice,
+    subtitleMode: subtitle_mode,
+    subtitleTrack: subtitle_track,
+    transcriptImport,
+    glossaryId: glossary_id || null,
+    renderProfiles,
+    voices: voiceChoice,
+    filename: video.originalname,
+    media,
+    duration: media?.duration ?? null
+  }, user.id);
+  chargeMinutes(user.id, media?.duration || 0);
+  syncStorage(jobs.get(jobId));
+  if (media?.video?.variableFrameRate) {
+    addJobWarnings(jobId, 'probe', [`Variable frame rate source — frames are resampled to a constant ${media.video.fps} fps`]);
+  }
+
+  // Run pipeline once a worker slot is free
+  enqueueJob(jobId);
+  return { jobId, targets, transcriptImport, media };
+}
+
+/**
+ * An Error carrying the HTTP status a route should answer with
+ */
+function requestError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * POST /api/dub
+ * Upload video and start dubbing job
+ */
+app.post('/api/dub', upload.fields([{ name: 'video', maxCount: 1 }, { name: 'transcript', maxCount: 1 }]), async (req, res) => {
+  const video = req.files?.video?.[0];
+  const captions = req.files?.transcript?.[0];
+  if (!video) {
+    if (captions) fs.unlink(captions.path, () => {});
+    return res.status(400).json({ error: 'No video file provided' });
+  }
+
+  let created;
+  try {
+    created = await createDubJob(req.user, video, req.body, captions);
+  } catch (err) {
+    [video, captions].forEach(f => f && fs.unlink(f.path, () => {}));
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+
+  const { jobId, targets, transcriptImport, media } = created;
+  const { position, estimatedStart } = queueInfo(jobId);
+  res.json({
+    job_id: jobId, status: jobs.get(jobId).status, message: 'Job queued successfully',
+    languages: targets, queue_position: position, estimated_start: estimatedStart,
+    transcript: transcriptImport && { format: transcriptImport.format, lang: transcriptImport.lang, segments: transcriptImport.segments },
+    media
+  });
+});
+
+/**
+ * lang_to may be a single code, a comma-separated list, a JSON array
+ * or a repeated form field.
+ */
+function parseLangList(value) {
+  let list = value;
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try { list = JSON.parse(value); } catch {}
+  }
+  return [...new Set([].concat(list).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean))];
+}
+
+/**
+ * Target language for a request (?lang=), defaulting to the job's first.
+ * Returns null if the job does not dub into that language.
+ */
+function requestLang(job, req) {
+  const targets = [].concat(job.meta.langTo);
+  const lang = req.query.lang || targets[0];
+  return targets.includes(lang) ? lang : null;
+}
+
+function outputUrls(job, lang) {
+  const q = `?lang=${lang}`;
+  return {
+    video_url: `/api/dub/${job.id}/download/video${q}`,
+    srt_url:   `/api/dub/${job.id}/download/srt${q}`,
+    audio_url: `/api/dub/${job.id}/download/audio${q}`,
+    voice_url: `/api/dub/${job.id}/download/voice${q}`,
+    report_url: `/api/dub/${job.id}/download/report${q}`,
+    report_json_url: `/api/dub/${job.id}/download/report${q}&format=json`,
+    quality: job.outputs[lang]?.quality || null,
+    render_urls: Object.fromEntries(Object.keys(job.outputs[lang]?.renders || {})
+      .filter(id => job.outputs[lang].renders[id])
+      .map(id => [id, `/api/dub/${job.id}/download/${id}${q}`])),
+    subtitle_urls: Object.fromEntries(SUBTITLE_TRACKS.filter(track => !job.outputs[lang]?.subtitles || job.outputs[lang].subtitles[track]).map(track => [track, Object.fromEntries(SUBTITLE_FORMATS.map(format =>
+      [format, `/api/dub/${job.id}/download/subtitles${q}&track=${track}&format=${format}`]))]))
+  };
+}
+
+/**
+ * GET /api/dub/:jobId/status
+ * Poll job status and progress
+ */
+app.get('/api/dub/:jobId/status', (req, res) => {
+  const job = requestJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(statusPayload(job));
+});
+
+function isDegraded(job) {
+  return Object.values(job.stageReports || {}).some(r => r.degraded);
+}
+
+function statusPayload(job) {
+  const { position, estimatedStart } = queueInfo(job.id);
+  return {
+    job_id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    message: job.message,
+    queue_position: position,
+    estimated_start: estimatedStart,
+    queue: queueSummary(),
+    speakers: job.speakers,
+    languages: job.languages,
+    media: job.meta.media || null,
+    strict: !!job.meta.strict,
+    voices: job.meta.voices || {},
+    degraded: isDegraded(job),
+    stages: job.stageReports,
+    warnings: job.warnings,
+    expires_at: outputsExpireAt(job),
+    expired: !!job.expiredAt,
+    outputs: job.status === 'done' && !job.expiredAt ? {
+      // First target's URLs at the top level; every finished language under `languages`
+      ...outputUrls(job, Object.keys(job.outputs)[0]),
+      languages: Object.fromEntries(Object.keys(job.outputs).map(lang => [lang, outputUrls(job, lang)])),
+      package_urls: Object.fromEntries(Object.keys(job.packages || {})
+        .filter(id => job.packages[id])
+        .map(id => [id, `/api/dub/${job.id}/download/${id}/${RENDER_PROFILES[id].entry}`]))
+    } : undefined
+  };
+}
+
+/**
+ * POST /api/dub/:jobId/link-token
+ * A short-lived `?token=` for this job's events stream and downloads
+ */
+app.post('/api/dub/:jobId/link-token', (req, res) => {
+  const job = requestJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(signLinkToken(req.user.id, `dub:${job.id}`));
+});
+
+/**
+ * GET /api/dub/:jobId/events
+ * Server-Sent Events stream: `status` (same shape as /status) on every job
+ * update, `log` for each backend log line, and `end` once the job stops
+ * (done, error, cancelled or awaiting review). Log events carry ids, so a
+ * reconnecting EventSource resumes from Last-Event-ID.
+ */
+app.get('/api/dub/:jobId/events', (req, res) => {
+  const job = requestJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event, data, id) =>
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const stopped = j => ['done', 'error', 'cancelled', 'awaiting_review'].includes(j.status);
+
+  const since = parseInt(req.get('Last-Event-ID') || req.query.since, 10) || 0;
+  (jobLogs.get(job.id) || []).filter(l => l.seq > since).forEach(l => send('log', l, l.seq));
+  send('status', statusPayload(job));
+  if (stopped(job)) {
+    send('end', { status: job.status });
+    return res.end();
+  }
+
+  const onStatus = j => {
+    if (j.id !== job.id) return;
+    send('status', statusPayload(j));
+    if (stopped(j)) {
+      send('end', { status: j.status });
+      close();
+    }
+  };
+  const onLog = (id, entry) => { if (id === job.id) send('log', entry, entry.seq); };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const close = () => {
+    clearInterval(heartbeat);
+    jobEvents.off('status', onStatus);
+    jobEvents.off('log', onLog);
+    res.end();
+  };
+
+  jobEvents.on('status', onStatus);
+  jobEvents.on('log', onLog);
+  req.on('close', close);
+});
+
+/**
+ * GET /api/dub/:jobId/segments?lang=xx
+ * Source and translated segments, for review; once the quality report
+ * exists, also the segments it flagged
+ */
+app.get('/api/dub/:jobId/segments', (req, res) => {
+  const job = requestJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  const lang = requestLang(job, req);
+  if (!lang) return res.status(400).json({ error: 'Job has no such target language' });
+
+  const transcript = readArtifact(job.id, 'transcript');
+  const translated = readArtifact(job.id, `translation:${lang}`);
+  if (!transcript || !translated) return res.status(409).json({ error: 'Segments not available yet' });
+
+  res.json({
+    job_id: job.id,
+    status: job.status,
+    lang_from: transcript.language || job.meta.langFrom,
+    lang_to: lang,
+    languages: [].concat(job.meta.langTo),
+    speakers: job.speakers || [],
+    source: transcriptSegments(transcript).map((s, i) => ({ id: s.id ?? i, start: s.start, end: s.end, text: s.text.trim() })),
+    translated: translated.translatedSegments,
+    glossary_issues: translated.glossaryIssues || [],
+    quality_flags: (readArtifact(job.id, `report:${lang}`)?.segments || [])
+      .filter(r => r.flags.length).map(r => ({ segment: r.id, flags: r.flags }))
+  });
+});
+
+/**
+ * PUT /api/dub/:jobId/segments?lang=xx
+ * Edit segment text (and translated timing/speaker) while a job awaits review.
+ * Source edits apply to every language; translated edits to `lang` only.
+ * Body: { source?: [{ id, text }], translated?: [{ id, text?, start?, end?, speaker? }] }
+ */
+app.put('/api/dub/:jobId/segments', (req, res) => {
+  const job = requestJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== 'awaiting_review') return res.status(409).json({ error: 'Job is not awaiting review' });
+  const lang = requestLang(job, req);
+  if (!lang) return res.status(400).json({ error: 'Job has no such target language' });
+
+  const transcript = readArtifact(job.id, 'transcript');
+  const translated = readArtifact(job.id, `translation:${lang}`);
+  const diarization = readArtifact(job.id, 'diarization');
+  if (!transcript || !translated) return res.status(409).json({ error: 'Segments not available yet' });
+  const { source = [], translated: edits = [] } = req.body || {};
+  if (!Array.isArray(source) || !Array.isArray(edits)) {
+    return res.status(400).json({ error: 'source and translated must be arrays' });
+  }
+
+  const sourceSegs = transcriptSegments(transcript);
+  const byId = (list, id) => list.find((s, i) => (s.id ?? i) === id);
+
+  for (const edit of source) {
+    const seg = byId(sourceSegs, edit.id);
+    if (!seg || typeof edit.text !== 'string') return res.status(400).json({ error: `Invalid source segment ${edit.id}` });
+  }
+  for (const edit of edits) {
+    const seg = byId(translated.translatedSegments, edit.id);
+    if (!seg || (edit.text !== undefined && typeof edit.text !== 'string')) {
+      return res.status(400).json({ error: `Invalid translated segment ${edit.id}` });
+    }
+    const start = edit.start ?? seg.start;
+    const end = edit.end ?? seg.end;
+    if (typeof start !== 'number' || typeof end !== 'number' || start < 0 || end <= start) {
+      return res.status(400).json({ error: `Invalid timing for segment ${edit.id}` });
+    }
+    if (edit.speaker !== undefined && !diarization?.speakers[edit.speaker]) {
+      return res.status(400).json({ error: `Unknown speaker ${edit.speaker} for segment ${edit.id}` });
+    }
+  }
+
+  const otherLangs = [].concat(job.meta.langTo).filter(l => l !== lang)
+    .map(l => [l, readArtifact(job.id, `translation:${l}`)]).filter(([, t]) => t);
+
+  source.forEach(edit => {
+    byId(sourceSegs, edit.id).text = edit.text;
+    [translated, ...otherLangs.map(([, t]) => t)].forEach(tr => {
+      const t = byId(tr.translatedSegments, edit.id);
+      if (t) t.sourceText = edit.text.trim();
+    });
+  });
+  edits.forEach(edit => {
+    const seg = byId(translated.translatedSegments, edit.id);
+    if (edit.text !== undefined) seg.text = edit.text;
+    if (edit.start !== undefined) seg.start = edit.start;
+    if (edit.end !== undefined) seg.end = edit.end;
+    if (edit.speaker !== undefined) {
+      // Speakers are shared, so the reassignment applies to every language
+      diarization.assignments[edit.id] = edit.speaker;
+      [translated, ...otherLangs.map(([, t]) => t)].forEach(tr => {
+        const t = byId(tr.translatedSegments, edit.id);
+        if (t) t.speaker = edit.speaker;
+      });
     }
+  });
+
+  transcript.segments = sourceSegs;
+  transcript.text = sourceSegs.map(s => s.text.trim()).join(' ');
+  translated.translatedText = translated.translatedSegments.map(s => s.text).join(' ');
+  writeArtifact(job.id, 'transcript', transcript);
+  writeArtifact(job.id, `translation:${lang}`, translated);
+  otherLangs.forEach(([l, t]) => writeArtifact(job.id, `translation:${l}`, t));
+  if (diarization) {
+    Object.entries(diarization.speakers).forEach(([label, sp]) => {
+      sp.segments = Object.values(diarization.assignments).filter(a => a === label).length;
+    });
+    writeArtifact(job.id, 'diarization', diarization);
+  }
+  updateJob(job.id, {
+    message: 'Segments edited — awaiting resume',
+    ...(diarization && { speakers: speakerSummary(diarization) })
+  });
+
+  res.json({ job_id: job.id, lang, updated: { source: source.length, translated: edits.length } });
+});
+
+/**
+ * POST /api/dub/:jobId/resume
+ * Continue a reviewed job. Body: { retranslate?: boolean } re-runs
+ * translation from the (edited) source segments first.
+ */
+app.post('/api/dub/:jobId/resume', (req, res) => {
+  const job = requestJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== 'awaiting_review') return res.status(409).json({ error: 'Job is not awaiting review' });
+
+  if (req.body?.retranslate) {
+    Object.keys(job.artifacts).filter(k => k.startsWith('translation:')).forEach(k => delete job.artifacts[k]);
+  }
+  updateJob(job.id, {
+    status: 'queued',
+    message: 'Review approved — resuming',
+    meta: { ...job.meta, reviewApproved: true }
+  });
+  enqueueJob(job.id);
+
+  const { position, estimatedStart } = queueInfo(job.id);
+  res.json({ job_id: job.id, status: jobs.get(job.id).status, queue_position: position, estimated_start: estimatedStart });
+});
+
+/**
+ * GET /api/dub/:jobId/download/:type/:file
+ * A file of an HLS or DASH package (type hls or dash). The playlist or
+ * manifest is `master.m3u8` / `manifest.mpd`; the files it names resolve
+ * relative to it, so a player can be pointed straight at its URL.
+ */
+app.get('/api/dub/:jobId/download/:type/:file', (req, res) => {
+  const job = requestJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== 'done') return res.status(400).json({ error: 'Job not complete' });
+  if (job.expiredAt) return res.status(410).json({ error: 'Outputs have expired and were removed' });
+
+  const dir = job.packages?.[req.params.type];
+  if (!dir) return res.status(404).json({ error: `No ${req.params.type} package for this job` });
+  const filePath = path.join(dir, path.basename(req.params.file));
+  if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'Output file not found' });
+  res.sendFile(filePath);
+});
+
+/**
+ * GET /api/dub/:jobId/download/:type?lang=xx
+ * Types: video, srt, audio, voice, subtitles (&track=target|source|bilingual&format=srt|vtt|ass|ttml|json),
+ * report (the quality report, &format=html|json) and any render profile the
+ * job asked for (h265, vp9, m4a, ...; hls and dash redirect to their playlist)
+ */
+app.get('/api/dub/:jobId/download/:type', (req, res) => {
+  const job = requestJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== 'done') return res.status(400).json({ error: 'Job not complete' });
+  if (job.expiredAt) return res.status(410).json({ error: 'Outputs have expired and were removed' });
+  const { type } = req.params;
+  if (RENDER_PROFILES[type]?.package) {
+    if (!job.packages?.[type]) return res.status(404).json({ error: `No ${type} package for this job` });
+    return res.redirect(`/api/dub/${job.id}/download/${type}/${RENDER_PROFILES[type].entry}`);
+  }
+  const lang = requestLang(job, req);
+  if (!lang) return res.status(400).json({ error: 'Job has no such target language' });
+
+  const outputs = job.outputs[lang];
+  if (!outputs) return res.status(404).json({ error: `No output for language ${lang}` });
+
+  if (type === 'report') {
+    const format = req.query.format === 'json' ? 'json' : 'html';
+    const filePath = outputs.report?.[format];
+    if (!filePath || !fs.existsSync(filePath)) return res.status(404).json({ error: 'No quality report for this language' });
+    return res.download(filePath, `dubbed_${lang}_report.${format}`);
+  }
+  if (type === 'subtitles') {
+    const { track = 'target', format = 'srt' } = req.query;
+    const filePath = outputs.subtitles?.[track]?.[format];
+    if (!filePath || !fs.existsSync(filePath)) return res.status(404).json({ error: `No ${track} subtitles in ${format} format` });
+    return res.download(filePath, `dubbed_${lang}_subtitles${track === 'target' ? '' : `_${track}`}.${format}`);
   }
 
-  // Fallback mock
-  updateJob(jobId, { progress: 58 });
-  return {
-    ...transcript,
-    translatedText: `[Translated to ${toLang}]: ${transcript.text}`
+  const fileMap = {
+    ...outputs.renders,
+    video: outputs.video,
+    srt:   outputs.srt,
+    audio: outputs.audio,
+    voice: outputs.voice
   };
-}
+
+  const filePath = fileMap[type];
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Output file not found' });
+  }
+
+  const extMap = { video: '.mp4', srt: '.srt', audio: '.wav', voice: '.wav' };
+  res.download(filePath, `dubbed_${lang}_${type}${path.extname(filePath) || extMap[type]}`);
+});
 
 /**
- * Step 5 — Synthesize voice
- * Supports: XTTS v2 (local), ElevenLabs (cloud)
+ * GET /api/jobs
+ * List the caller's jobs (every job for an admin, with its owner)
  */
-async function synthesizeVoice(translatedTranscript, referenceAudioPath, toLang, voiceMode, jobId) {
-  updateJob(jobId, { stage: 'pill-synth', progress: 65, message: 'Synthesizing dubbed voice...' });
-  const outputPath = path.join(__dirname, 'temp', `${jobId}_dubbed.wav`);
+app.get('/api/jobs', (req, res) => {
+  const list = Array.from(jobs.values()).filter(j => canAccess(req.user, j)).map(j => {
+    const { position, estimatedStart } = queueInfo(j.id);
+    return {
+      id: j.id, status: j.status, progress: j.progress,
+      filename: j.meta?.filename, createdAt: j.createdAt,
+      ...(req.user.admin ? { owner: j.owner || ANONYMOUS.id } : {}),
+      languages: Object.fromEntries(Object.entries(j.languages || {}).map(([l, s]) => [l, { status: s.status, progress: s.progress }])),
+      degraded: isDegraded(j), warnings: (j.warnings || []).length,
+      queue_position: position, estimated_start: estimatedStart
+    };
+  });
+  res.json({ total: list.length, queue: queueSummary(), jobs: list });
+});
 
-  if (voiceMode === 'clone' && process.env.XTTS_SERVER_URL) {
-    // XTTS v2 server (run: pip install TTS; tts-server --model_name tts_models/multilingual/multi-dataset/xtts_v2)
-    try {
-      const res = await fetch(`${process.env.XTTS_SERVER_URL}/tts_to_file`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          text: translatedTranscript.translatedText,
-          language: toLang,
-          speaker_wav: referenceAudioPath,
-          file_path: outputPath
-        })
-      });
-      if (res.ok) {
-        updateJob(jobId, { progress: 75 });
-        return outputPath;
-      }
-    } catch (err) {
-      console.warn('[XTTS] Failed:', err.message);
-    }
-  }
+/**
+ * DELETE /api/dub/:jobId
+ * Cancel a queued/running job, or delete a finished one with its upload and outputs
+ */
+app.delete('/api/dub/:jobId', (req, res) => {
+  const job = requestJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
 
-  if (process.env.ELEVENLABS_API_KEY) {
-    // ElevenLabs API
-    try {
-      const res = await fetch('https://api.elevenlabs.io/v1/text-to-speech/21m00Tcm4TlvDq8ikWAM', {
-        method: 'POST',
-        headers: {
-          'xi-api-key': process.env.ELEVENLABS_API_KEY,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          text: translatedTranscript.translatedText,
-          model_id: 'eleven_multilingual_v2',
-          voice_settings: { stability: 0.5, similarity_boost: 0.75 }
-        })
-      });
-      if (res.ok) {
-        const buf = await res.arrayBuffer();
-        fs.writeFileSync(outputPath.replace('.wav', '.mp3'), Buffer.from(buf));
-        updateJob(jobId, { progress: 75 });
-        return outputPath.replace('.wav', '.mp3');
-      }
-    } catch (err) {
-      console.warn('[ElevenLabs] Failed:', err.message);
-    }
+  if (cancelJob(job.id)) {
+    return res.json({ job_id: job.id, status: 'cancelled', message: 'Job cancelled' });
   }
 
-  // Fallback: use original audio (no synthesis)
-  console.warn('[TTS] No TTS service configured — using original audio');
-  updateJob(jobId, { progress: 75 });
-  return referenceAudioPath;
-}
+  cleanupTemp(job.id);
+  cleanupOutputs(job.id);
+  cleanupUploads(job);
+  removeJob(job.id);
+  res.json({ message: 'Job deleted' });
+});
+
+const manifestUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
 
 /**
- * Step 6 — Lip sync with Wav2Lip
- * Requires: pip install -r Wav2Lip/requirements.txt
+ * POST /api/batch
+ * Queue a manifest of videos: a `manifest` file (.json or .csv) or a JSON
+ * body, each item a URL or server path plus per-item dub settings
  */
-async function runLipSync(videoPath, dubbedAudioPath, quality, jobId) {
-  updateJob(jobId, { stage: 'pill-lipsync', progress: 82, message: 'Applying Wav2Lip lip synchronization...' });
-
-  const outputPath = path.join(__dirname, 'temp', `${jobId}_lipsync.mp4`);
-  const modelPath = process.env.WAV2LIP_MODEL || path.join(__dirname, 'models', 'wav2lip_gan.pth');
-
-  if (!fs.existsSync(modelPath)) {
-    console.warn('[Wav2Lip] Model not found — skipping lip sync, merging audio only');
-    updateJob(jobId, { progress: 88 });
-    return mergeAudioOnly(videoPath, dubbedAudioPath, outputPath, jobId);
+app.post('/api/batch', manifestUpload.single('manifest'), (req, res) => {
+  let manifest;
+  try {
+    if (req.file) {
+      const csv = /\.csv$/i.test(req.file.originalname) || req.file.mimetype === 'text/csv';
+      manifest = parseManifest(req.file.buffer.toString('utf-8'), csv ? 'csv' : 'json');
+    } else {
+      manifest = parseManifest(req.body, 'json');
+    }
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.message });
   }
 
-  return new Promise((resolve, reject) => {
-    const args = [
-      'inference.py',
-      '--checkpoint_path', modelPath,
-      '--face', videoPath,
-      '--audio', dubbedAudioPath,
-      '--outfile', outputPath,
-      '--resize_factor', quality === 'ultra' ? '1' : '2'
-    ];
-
-    const proc = spawn('python3', args, {
-      cwd: path.join(__dirname, 'Wav2Lip')
-    });
+  const batch = {
+    id: uuidv4(),
+    owner: req.user.id,
+    createdAt: Date.now(),
+    defaults: manifest.defaults,
+    items: manifest.items.map((item, index) => ({ index, source: item.source, settings: item.settings, status: 'pending' }))
+  };
+  batches.set(batch.id, batch);
+  persistBatch(batch);
+  runBatch(batch).catch(err => console.error('[Batch] Failed', batch.id, err.message));
 
-    proc.on('close', code => {
-      if (code === 0) {
-        updateJob(jobId, { progress: 90 });
-        resolve(outputPath);
-      } else {
-        // Fallback to audio merge
-        mergeAudioOnly(videoPath, dubbedAudioPath, outputPath, jobId).then(resolve).catch(reject);
-      }
-    });
+  res.json({ ...batchPayload(batch), message: `Batch of ${batch.items.length} video(s) queued` });
+});
 
-    proc.on('error', () => {
-      mergeAudioOnly(videoPath, dubbedAudioPath, outputPath, jobId).then(resolve).catch(reject);
-    });
-  });
+function requestBatch(req) {
+  const batch = batches.get(req.params.batchId);
+  return batch && canAccess(req.user, batch) ? batch : null;
 }
 
 /**
- * Fallback — merge dubbed audio onto original video (no lip sync)
+ * GET /api/batch/:batchId
+ * Aggregate progress and each item's job
  */
-async function mergeAudioOnly(videoPath, audioPath, outputPath, jobId) {
-  updateJob(jobId, { stage: 'pill-lipsync', progress: 86, message: 'Merging dubbed audio with video...' });
+app.get('/api/batch/:batchId', (req, res) => {
+  const batch = requestBatch(req);
+  if (!batch) return res.status(404).json({ error: 'Batch not found' });
+  res.json(batchPayload(batch));
+});
 
-  return new Promise((resolve, reject) => {
-    const proc = spawn('ffmpeg', [
-      '-i', videoPath,
-      '-i', audioPath,
-      '-c:v', 'copy',
-      '-map', '0:v:0', '-map', '1:a:0',
-      '-shortest', '-y', outputPath
-    ]);
+/**
+ * POST /api/batch/:batchId/link-token
+ * A short-lived `?token=` for the batch zip download
+ */
+app.post('/api/batch/:batchId/link-token', (req, res) => {
+  const batch = requestBatch(req);
+  if (!batch) return res.status(404).json({ error: 'Batch not found' });
+  res.json(signLinkToken(req.user.id, `batch:${batch.id}`));
+});
 
-    proc.on('close', code => {
-      updateJob(jobId, { progress: 90 });
-      code === 0 ? resolve(outputPath) : reject(new Error('Audio merge failed'));
-    });
+/**
+ * GET /api/batch/:batchId/download
+ * Zip of every finished item's outputs, one folder per item
+ */
+app.get('/api/batch/:batchId/download', (req, res) => {
+  const batch = requestBatch(req);
+  if (!batch) return res.status(404).json({ error: 'Batch not found' });
+  const payload = batchPayload(batch);
+  if (!payload.zip_url) return res.status(409).json({ error: `Batch is ${payload.status}, no outputs to download yet`, progress: payload.progress });
 
-    proc.on('error', () => reject(new Error('ffmpeg not found')));
+  const archive = archiver('zip', { zlib: { level: 1 } });   // the videos are compressed already
+  archive.on('warning', err => console.warn('[Batch] Zip:', err.message));
+  archive.on('error', err => {
+    console.error('[Batch] Zip failed', batch.id, err.message);
+    res.destroy(err);
   });
-}
+  res.attachment(`batch_${batch.id}.zip`);
+  archive.pipe(res);
+
+  for (const item of batch.items) {
+    const job = item.jobId && jobs.get(item.jobId);
+    if (!job || job.status !== 'done' || job.expiredAt) continue;
+    const folder = `${String(item.index + 1).padStart(3, '0')}_${path.parse(job.meta.filename || 'video').name}`;
+    for (const file of jobFiles(job).outputs) {
+      const name = path.basename(file).replace(`${job.id}_`, '');
+      if (fs.statSync(file).isDirectory()) archive.directory(file, `${folder}/${name}`);
+      else archive.file(file, { name: `${folder}/${name}` });
+    }
+  }
+  archive.append(JSON.stringify(payload, null, 2), { name: 'batch.json' });
+  archive.finalize();
+});
 
 /**
- * Step 7 — Final render and encode
+ * DELETE /api/batch/:batchId
+ * Stop fetching the batch's remaining items and cancel its active jobs
  */
-async function finalRender(lipsyncPath, jobId) {
-  updateJob(jobId, { stage: 'pill-render', progress: 94, message: 'Encoding final output...' });
-  const finalPath = path.join(__dirname, 'outputs', `${jobId}_dubbed_final.mp4`);
+app.delete('/api/batch/:batchId', (req, res) => {
+  const batch = requestBatch(req);
+  if (!batch) return res.status(404).json({ error: 'Batch not found' });
 
-  return new Promise((resolve, reject) => {
-    const proc = spawn('ffmpeg', [
-      '-i', lipsyncPath,
-      '-c:v', 'libx264', '-preset', 'fast',
-      '-crf', '23', '-c:a', 'aac',
-      '-b:a', '192k', '-movflags', '+faststart',
-      '-y', finalPath
-    ]);
+  batch.cancelledAt = Date.now();
+  let cancelled = 0;
+  for (const item of batch.items) {
+    if (item.status === 'pending') item.status = 'cancelled';
+    else if (item.jobId && cancelJob(item.jobId)) cancelled++;
+  }
+  persistBatch(batch);
+  res.json({ batch_id: batch.id, status: 'cancelled', cancelled_jobs: cancelled });
+});
 
-    proc.on('close', code => {
-      if (code === 0) {
-        updateJob(jobId, { progress: 100, status: 'done', stage: 'complete', message: 'Dubbing complete!', outputs: { video: finalPath } });
-        resolve(finalPath);
-      } else {
-        reject(new Error('Final render failed'));
-      }
-    });
+function glossaryJson(glossary, user) {
+  return {
+    id: glossary.id,
+    name: glossary.name,
+    project: glossary.project,
+    source_lang: glossary.sourceLang,
+    terms: glossary.terms.map(t => ({ term: t.term, keep: t.keep, translations: t.translations, case_sensitive: t.caseSensitive })),
+    ...(user.admin && { owner: glossary.owner || ANONYMOUS.id }),
+    created_at: glossary.createdAt,
+    updated_at: glossary.updatedAt
+  };
+}
 
-    proc.on('error', () => {
-      // If ffmpeg not available, mark as done with original
-      updateJob(jobId, { progress: 100, status: 'done', stage: 'complete', message: 'Demo complete (ffmpeg not installed)', outputs: { video: lipsyncPath } });
-      resolve(lipsyncPath);
-    });
-  });
+function requestGlossary(req) {
+  const glossary = glossaries.get(req.params.id);
+  return glossary && canAccess(req.user, glossary) ? glossary : null;
 }
 
 /**
- * Full pipeline orchestrator
+ * GET /api/glossaries?project=xx
+ * The caller's glossaries
  */
-async function runPipeline(jobId, videoPath, { langFrom, langTo, voiceMode, quality }) {
-  updateJob(jobId, { status: 'running' });
-
-  try {
-    // 1. Extract
-    const audioPath  = await extractAudio(videoPath, jobId);
-    const framesDir  = await extractFrames(videoPath, jobId).catch(() => null);
+app.get('/api/glossaries', (req, res) => {
+  const list = Array.from(glossaries.values())
+    .filter(g => canAccess(req.user, g) && (!req.query.project || g.project === req.query.project))
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(g => ({ ...glossaryJson(g, req.user), terms: undefined, term_count: g.terms.length }));
+  res.json({ total: list.length, glossaries: list });
+});
 
-    // 2. Transcribe
-    const transcript = await transcribeAudio(audioPath, langFrom, jobId);
+/**
+ * POST /api/glossaries
+ * Body: { name, project?, source_lang?, terms: [ "Brand" | { term, keep?, translations?: { es: '...' }, case_sensitive? } ] }
+ */
+app.post('/api/glossaries', (req, res) => {
+  const { name, project = 'default', source_lang = null, terms = [] } = req.body || {};
+  if (!name || typeof name !== 'string') return res.status(400).json({ error: 'name is required' });
+  if (source_lang && !LANGUAGES[source_lang]) return res.status(400).json({ error: `Unknown source_lang: ${source_lang}` });
 
-    // 3. Translate
-    const translated = await translateText(transcript, langFrom, langTo, jobId);
+  let normalized;
+  try {
+    normalized = normalizeTerms(terms);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const glossary = {
+    id: uuidv4(), owner: req.user.id, name: name.trim(), project: String(project), sourceLang: source_lang,
+    terms: normalized, createdAt: Date.now(), updatedAt: Date.now()
+  };
+  glossaries.set(glossary.id, glossary);
+  persistGlossary(glossary);
+  res.status(201).json(glossaryJson(glossary, req.user));
+});
 
-    // 4. Synthesize
-    const dubbedAudio = await synthesizeVoice(translated, audioPath, langTo, voiceMode, jobId);
+/**
+ * GET /api/glossaries/:id
+ */
+app.get('/api/glossaries/:id', (req, res) => {
+  const glossary = requestGlossary(req);
+  if (!glossary) return res.status(404).json({ error: 'Glossary not found' });
+  res.json(glossaryJson(glossary, req.user));
+});
 
-    // 5. Lip sync
-    const lipsyncPath = await runLipSync(videoPath, dubbedAudio, quality, jobId);
+/**
+ * PUT /api/glossaries/:id
+ * Any of { name, project, source_lang, terms }; terms replaces the whole list
+ */
+app.put('/api/glossaries/:id', (req, res) => {
+  const glossary = requestGlossary(req);
+  if (!glossary) return res.status(404).json({ error: 'Glossary not found' });
+  const { name, project, source_lang, terms } = req.body || {};
+  if (name !== undefined && (!name || typeof name !== 'string')) return res.status(400).json({ error: 'name must be a non-empty string' });
+  if (source_lang && !LANGUAGES[source_lang]) return res.status(400).json({ error: `Unknown source_lang: ${source_lang}` });
 
-    // 6. Final render
-    const finalPath = await finalRender(lipsyncPath, jobId);
+  let normalized = glossary.terms;
+  try {
+    if (terms !== undefined) normalized = normalizeTerms(terms);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  Object.assign(glossary, {
+    ...(name !== undefined && { name: name.trim() }),
+    ...(project !== undefined && { project: String(project) }),
+    ...(source_lang !== undefined && { sourceLang: source_lang || null }),
+    terms: normalized,
+    updatedAt: Date.now()
+  });
+  persistGlossary(glossary);
+  res.json(glossaryJson(glossary, req.user));
+});
 
-    // Generate SRT
-    const srtPath = generateSrt(translated, jobId);
+/**
+ * DELETE /api/glossaries/:id
+ * Refused while a queued or running job still uses it
+ */
+app.delete('/api/glossaries/:id', (req, res) => {
+  const glossary = requestGlossary(req);
+  if (!glossary) return res.status(404).json({ error: 'Glossary not found' });
+  const inUse = Array.from(jobs.values()).filter(j =>
+    j.meta?.glossaryId === glossary.id && ['queued', 'running', 'awaiting_review'].includes(j.status));
+  if (inUse.length) return res.status(409).json({ error: `Glossary is in use by ${inUse.length} active job(s)` });
 
-    updateJob(jobId, {
-      status: 'done',
-      progress: 100,
-      message: 'Dubbing complete!',
-      outputs: { video: finalPath, srt: srtPath, audio: dubbedAudio }
-    });
+  glossaries.delete(glossary.id);
+  try { fs.unlinkSync(path.join(GLOSSARIES_DIR, `${glossary.id}.json`)); } catch {}
+  res.json({ deleted: glossary.id });
+});
 
-    // Cleanup temp
-    setTimeout(() => cleanupTemp(jobId), 5 * 60 * 1000);
+const voiceUpload = multer({
+  storage,
+  limits: { fileSize: Math.round(MEDIA_LIMITS.uploadMb * 1024 * 1024) },
+  fileFilter: (_, file, cb) => /^(audio|video)\//.test(file.mimetype) ? cb(null, true) : cb(new Error('Invalid reference clip format'))
+});
 
-  } catch (err) {
-    console.error('[Pipeline Error]', err.message);
-    updateJob(jobId, { status: 'error', message: err.message });
-  }
+function voiceJson(voice, user) {
+  return {
+    id: voice.id,
+    name: voice.name,
+    description: voice.description,
+    kind: voice.kind,
+    language: voice.language,
+    ...(voice.kind === 'stock'
+      ? { provider: voice.provider, voice_id: voice.voiceId }
+      : { reference_seconds: voice.referenceSeconds, sample_url: `/api/voices/${voice.id}/sample` }),
+    settings: voice.settings,
+    ...(user.admin && { owner: voice.owner }),
+    created_at: voice.createdAt,
+    updated_at: voice.updatedAt
+  };
 }
 
-function generateSrt(translated, jobId) {
-  const srtPath = path.join(__dirname, 'outputs', `${jobId}_subtitles.srt`);
-  const segments = translated.segments || [{ start: 0, end: 5, text: translated.translatedText || '' }];
-  const srt = segments.map((s, i) => {
-    const start = fmtSrtTime(s.start);
-    const end   = fmtSrtTime(s.end);
-    return `${i+1}\n${start} --> ${end}\n${s.text}\n`;
-  }).join('\n');
-  fs.writeFileSync(srtPath, srt);
-  return srtPath;
+/** `settings` as an object or JSON, or the settings as separate form fields */
+function voiceSettingsFrom(body) {
+  if (body.settings !== undefined) return normalizeVoiceSettings(body.settings);
+  const fields = Object.keys(VOICE_SETTINGS).filter(name => body[name] !== undefined && body[name] !== '');
+  return fields.length ? normalizeVoiceSettings(Object.fromEntries(fields.map(name => [name, body[name]]))) : undefined;
 }
 
-function fmtSrtTime(sec) {
-  const h = Math.floor(sec / 3600);
-  const m = Math.floor((sec % 3600) / 60);
-  const s = Math.floor(sec % 60);
-  const ms = Math.round((sec % 1) * 1000);
-  return `${pad(h)}:${pad(m)}:${pad(s)},${String(ms).padStart(3,'0')}`;
+function requestVoice(req) {
+  const voice = voices.get(req.params.id);
+  return voice && canAccess(req.user, voice) ? voice : null;
 }
 
-function cleanupTemp(jobId) {
-  ['_audio.wav','_dubbed.wav','_lipsync.mp4'].forEach(suffix => {
-    const p = path.join(__dirname, 'temp', jobId + suffix);
-    try { if (fs.existsSync(p)) fs.unlinkSync(p); } catch {}
-  });
-  const framesDir = path.join(__dirname, 'temp', `${jobId}_frames`);
-  try { if (fs.existsSync(framesDir)) fs.rmSync(framesDir, { recursive: true }); } catch {}
-}
+/**
+ * GET /api/voices?language=xx
+ * The caller's saved voices
+ */
+app.get('/api/voices', (req, res) => {
+  const list = Array.from(voices.values())
+    .filter(v => canAccess(req.user, v) && (!req.query.language || v.language === req.query.language))
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(v => voiceJson(v, req.user));
+  res.json({ total: list.length, voices: list });
+});
 
-function pad(n) { return String(n).padStart(2,'0'); }
+/**
+ * GET /api/voices/stock
+ * Built-in voices of each available TTS provider that has them; pick one
+ * in a job as `<provider>:<voice_id>` or save it with settings
+ */
+app.get('/api/voices/stock', async (req, res) => {
+  const stock = {};
+  for (const provider of candidateProviders('tts').filter(p => p.listVoices)) {
+    try {
+      stock[provider.id] = await provider.listVoices();
+    } catch (err) {
+      console.warn(`[Voices] Could not list ${provider.name} voices:`, err.message);
+      stock[provider.id] = { error: err.message };
+    }
+  }
+  res.json({ providers: stock });
+});
 
-// ══════════════════════════════════════
-// ── ROUTES ──
-// ══════════════════════════════════════
+/**
+ * POST /api/voices
+ * Clone voice: multipart with a `reference` clip (3s or more of clean speech).
+ * Stock voice: { provider, voice_id }. Either: name, description?, language?,
+ * settings? ({ stability, similarity_boost, style, speed }, or separate fields).
+ */
+app.post('/api/voices', voiceUpload.single('reference'), async (req, res) => {
+  const body = req.body || {};
+  const { name, description = '', language = null, provider, voice_id } = body;
+  const fail = (status, error) => {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    return res.status(status).json({ error });
+  };
+  if (!name || typeof name !== 'string') return fail(400, 'name is required');
+  if (language && (!LANGUAGES[language] || language === 'auto')) return fail(400, `Unknown language: ${language}`);
+  if (!req.file && !(provider && voice_id)) return fail(400, 'Upload a `reference` clip, or name a stock voice with provider and voice_id');
+  if (!req.file && !providers.tts.get(provider)?.listVoices) return fail(400, `${provider} has no stock voices`);
+
+  let settings;
+  try {
+    settings = voiceSettingsFrom(body) || {};
+  } catch (err) {
+    return fail(400, err.message);
+  }
+
+  const voice = {
+    id: uuidv4(), owner: req.user.id, name: name.trim(), description: String(description), language,
+    kind: req.file ? 'clone' : 'stock', settings, createdAt: Date.now(), updatedAt: Date.now(),
+    ...(!req.file && { provider, voiceId: String(voice_id) })
+  };
+  if (req.file) {
+    try {
+      voice.referenceSeconds = await importVoiceClip(req.file.path, voiceClipPath(voice));
+    } catch (err) {
+      return fail(400, err.message);
+    } finally {
+      fs.unlink(req.file.path, () => {});
+    }
+  }
+  voices.set(voice.id, voice);
+  persistVoice(voice);
+  res.status(201).json(voiceJson(voice, req.user));
+});
 
 /**
- * POST /api/dub
- * Upload video and start dubbing job
+ * GET /api/voices/:id
  */
-app.post('/api/dub', upload.single('video'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'No video file provided' });
+app.get('/api/voices/:id', (req, res) => {
+  const voice = requestVoice(req);
+  if (!voice) return res.status(404).json({ error: 'Voice not found' });
+  res.json(voiceJson(voice, req.user));
+});
 
-  const jobId = uuidv4();
-  const { lang_from='en', lang_to='es', voice_mode='clone', quality='balanced', sync_confidence='0.85' } = req.body;
+/**
+ * GET /api/voices/:id/sample
+ * A clone voice's reference clip
+ */
+app.get('/api/voices/:id/sample', (req, res) => {
+  const voice = requestVoice(req);
+  if (!voice) return res.status(404).json({ error: 'Voice not found' });
+  if (voice.kind !== 'clone' || !fs.existsSync(voiceClipPath(voice))) return res.status(404).json({ error: 'Voice has no reference clip' });
+  res.sendFile(voiceClipPath(voice));
+});
 
-  createJob(jobId, {
-    videoPath: req.file.path,
-    langFrom: lang_from,
-    langTo: lang_to,
-    voiceMode: voice_mode,
-    quality,
-    syncConfidence: parseFloat(sync_confidence),
-    filename: req.file.originalname
-  });
+/**
+ * PUT /api/voices/:id
+ * Any of { name, description, language, settings }; settings replaces the whole set
+ */
+app.put('/api/voices/:id', (req, res) => {
+  const voice = requestVoice(req);
+  if (!voice) return res.status(404).json({ error: 'Voice not found' });
+  const { name, description, language } = req.body || {};
+  if (name !== undefined && (!name || typeof name !== 'string')) return res.status(400).json({ error: 'name must be a non-empty string' });
+  if (language && (!LANGUAGES[language] || language === 'auto')) return res.status(400).json({ error: `Unknown language: ${language}` });
 
-  // Run pipeline asynchronously
-  runPipeline(jobId, req.file.path, {
-    langFrom: lang_from, langTo: lang_to,
-    voiceMode: voice_mode, quality
+  let settings;
+  try {
+    settings = voiceSettingsFrom(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  Object.assign(voice, {
+    ...(name !== undefined && { name: name.trim() }),
+    ...(description !== undefined && { description: String(description) }),
+    ...(language !== undefined && { language: language || null }),
+    ...(settings !== undefined && { settings }),
+    updatedAt: Date.now()
   });
-
-  res.json({ job_id: jobId, status: 'queued', message: 'Job queued successfully' });
+  persistVoice(voice);
+  res.json(voiceJson(voice, req.user));
 });
 
 /**
- * GET /api/dub/:jobId/status
- * Poll job status and progress
+ * DELETE /api/voices/:id
+ * Refused while a queued or running job still uses it
  */
-app.get('/api/dub/:jobId/status', (req, res) => {
-  const job = jobs.get(req.params.jobId);
-  if (!job) return res.status(404).json({ error: 'Job not found' });
+app.delete('/api/voices/:id', (req, res) => {
+  const voice = requestVoice(req);
+  if (!voice) return res.status(404).json({ error: 'Voice not found' });
+  const inUse = Array.from(jobs.values()).filter(j =>
+    Object.values(j.meta?.voices || {}).includes(voice.id) && ACTIVE_STATUSES.includes(j.status));
+  if (inUse.length) return res.status(409).json({ error: `Voice is in use by ${inUse.length} active job(s)` });
 
+  // The instant clone made for ElevenLabs goes too; best effort
+  if (voice.providerVoices?.elevenlabs && process.env.ELEVENLABS_API_KEY) {
+    fetch(`${ELEVENLABS_API}/v1/voices/${encodeURIComponent(voice.providerVoices.elevenlabs)}`, {
+      method: 'DELETE', headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY }
+    }).catch(err => console.warn('[Voices] Could not delete the ElevenLabs clone:', err.message));
+  }
+  voices.delete(voice.id);
+  try { fs.unlinkSync(path.join(VOICES_DIR, `${voice.id}.json`)); } catch {}
+  try { fs.unlinkSync(voiceClipPath(voice)); } catch {}
+  res.json({ deleted: voice.id });
+});
+
+/**
+ * GET /api/usage
+ * The caller's usage against their quotas
+ */
+app.get('/api/usage', (req, res) => {
+  const usage = usageFor(req.user);
+  const quotas = quotasFor(req.user);
   res.json({
-    job_id: job.id,
-    status: job.status,
-    stage: job.stage,
-    progress: job.progress,
-    message: job.message,
-    outputs: job.status === 'done' ? {
-      video_url: `/api/dub/${job.id}/download/video`,
-      srt_url:   `/api/dub/${job.id}/download/srt`,
-      audio_url: `/api/dub/${job.id}/download/audio`
-    } : undefined
+    user: req.user.id,
+    auth: authEnabled(),
+    concurrent_jobs: { used: usage.concurrentJobs, limit: quotas.concurrentJobs },
+    monthly_minutes: { used: +usage.monthlyMinutes.toFixed(2), limit: quotas.monthlyMinutes },
+    storage_mb: { used: +usage.storageMb.toFixed(2), limit: quotas.storageMb }
   });
 });
 
 /**
- * GET /api/dub/:jobId/download/:type
+ * Middleware: admin users only
  */
-app.get('/api/dub/:jobId/download/:type', (req, res) => {
-  const job = jobs.get(req.params.jobId);
-  if (!job) return res.status(404).json({ error: 'Job not found' });
-  if (job.status !== 'done') return res.status(400).json({ error: 'Job not complete' });
+function requireAdmin(req, res, next) {
+  if (!req.user?.admin) return res.status(403).json({ error: 'Admin access required' });
+  next();
+}
 
-  const { type } = req.params;
-  const fileMap = {
-    video: job.outputs.video,
-    srt:   job.outputs.srt,
-    audio: job.outputs.audio
-  };
+/**
+ * GET /api/admin/storage
+ * Disk use per directory and per job, retention settings and orphaned files
+ */
+app.get('/api/admin/storage', requireAdmin, (req, res) => {
+  const mb = bytes => +(bytes / (1024 * 1024)).toFixed(2);
+  const days = ms => Number.isFinite(ms) ? +(ms / DAY).toFixed(3) : 'never';
+  const perJob = Array.from(jobs.values()).map(job => {
+    const used = jobStorage(job);
+    return {
+      id: job.id, owner: job.owner || ANONYMOUS.id, status: job.status, filename: job.meta.filename,
+      updated_at: job.updatedAt, expired: !!job.expiredAt, expires_at: outputsExpireAt(job),
+      mb: Object.fromEntries(Object.entries(used).map(([k, v]) => [k, mb(v)]))
+    };
+  }).sort((a, b) => b.mb.total - a.mb.total);
+  const orphans = orphanFiles();
+  const totals = Object.fromEntries([...STORAGE_DIRS, 'cache'].map(dir => [dir, mb(pathSize(path.join(__dirname, dir)))]));
 
-  const filePath = fileMap[type];
-  if (!filePath || !fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'Output file not found' });
-  }
+  res.json({
+    total_mb: +Object.values(totals).reduce((sum, v) => sum + v, 0).toFixed(2),
+    limit_mb: Number.isFinite(STORAGE_CONFIG.maxBytes) ? mb(STORAGE_CONFIG.maxBytes) : null,
+    dirs_mb: totals,
+    retention_days: {
+      temp: days(STORAGE_CONFIG.tempMs), uploads: days(STORAGE_CONFIG.uploadMs), outputs: days(STORAGE_CONFIG.outputMs),
+      review: days(STORAGE_CONFIG.reviewMs), jobs: days(STORAGE_CONFIG.jobMs), cache: days(STORAGE_CONFIG.cacheMs)
+    },
+    orphans: { count: orphans.length, mb: mb(orphans.reduce((sum, f) => sum + pathSize(f), 0)) },
+    jobs: perJob
+  });
+});
 
-  const extMap = { video: '.mp4', srt: '.srt', audio: '.wav' };
-  res.download(filePath, `dubbed_${type}${extMap[type]}`);
+/**
+ * POST /api/admin/storage/sweep
+ * Run the storage sweeper now
+ */
+app.post('/api/admin/storage/sweep', requireAdmin, (req, res) => {
+  res.json({ removed: sweepStorage() });
 });
 
 /**
- * GET /api/jobs
- * List all jobs
+ * GET /api/admin/cache
+ * Stage cache entries and size per kind, with hits and misses since startup
  */
-app.get('/api/jobs', (req, res) => {
-  const list = Array.from(jobs.values()).map(j => ({
-    id: j.id, status: j.status, progress: j.progress,
-    filename: j.meta?.filename, createdAt: j.createdAt
-  }));
-  res.json({ total: list.length, jobs: list });
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  const mb = bytes => +(bytes / (1024 * 1024)).toFixed(2);
+  const kinds = {};
+  for (const entry of cacheEntries()) {
+    const kind = kinds[entry.kind] = kinds[entry.kind] || { entries: 0, bytes: 0 };
+    kind.entries++;
+    kind.bytes += pathSize(entry.dir);
+  }
+  const names = [...new Set([...Object.keys(kinds), ...Object.keys(cacheStats)])].sort();
+  res.json({
+    enabled: CACHE_CONFIG.enabled,
+    total_mb: mb(Object.values(kinds).reduce((sum, k) => sum + k.bytes, 0)),
+    retention_days: Number.isFinite(STORAGE_CONFIG.cacheMs) ? +(STORAGE_CONFIG.cacheMs / DAY).toFixed(3) : 'never',
+    kinds: Object.fromEntries(names.map(name => {
+      const stats = cacheStats[name] || { hits: 0, misses: 0, stores: 0 };
+      const lookups = stats.hits + stats.misses;
+      return [name, {
+        entries: kinds[name]?.entries || 0, mb: mb(kinds[name]?.bytes || 0), ...stats,
+        hit_rate: lookups ? +(stats.hits / lookups).toFixed(3) : null
+      }];
+    }))
+  });
 });
 
 /**
- * DELETE /api/dub/:jobId
- * Cancel/delete a job
+ * DELETE /api/admin/cache?kind=transcript&job=<jobId>
+ * Invalidate cache entries: one kind (audio, separation, frames, faces,
+ * transcript, diarization, translation, tts), the stages of one job's
+ * source video, or both; everything with neither
  */
-app.delete('/api/dub/:jobId', (req, res) => {
-  const job = jobs.get(req.params.jobId);
-  if (!job) return res.status(404).json({ error: 'Job not found' });
-  cleanupTemp(req.params.jobId);
-  jobs.delete(req.params.jobId);
-  res.json({ message: 'Job deleted' });
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+  const { kind, job: jobId } = req.query;
+  let source = null;
+  if (jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!job.meta.sourceHash) return res.json({ removed: 0, message: 'Job has no cached stages' });
+    source = job.meta.sourceHash;
+  }
+  res.json({ removed: invalidateCache({ kind: kind || null, source }) });
 });
 
 /**
@@ -608,33 +5600,30 @@ app.get('/api/languages', (req, res) => {
   res.json({ languages: Object.entries(LANGUAGES).map(([code, name]) => ({ code, name })) });
 });
 
+/**
+ * GET /api/render-profiles
+ * Output profiles a job can request with `render_profiles`
+ */
+app.get('/api/render-profiles', (req, res) => {
+  res.json({ profiles: describeRenderProfiles() });
+});
+
 /**
  * GET /api/models
- * List available models
+ * Registered providers per stage, with availability and fallback order
  */
 app.get('/api/models', (req, res) => {
-  res.json({
-    lipsync: [
-      { id: 'wav2lip', name: 'Wav2Lip HD', quality: 'high', speed: 'medium' },
-      { id: 'sadtalker', name: 'SadTalker Fast', quality: 'medium', speed: 'fast' },
-      { id: 'difftalk', name: 'DiffTalk Ultra', quality: 'ultra', speed: 'slow' }
-    ],
-    tts: [
-      { id: 'xtts', name: 'XTTS v2', languages: 28, cloning: true },
-      { id: 'elevenlabs', name: 'ElevenLabs API', languages: 30, cloning: true, requires_key: true }
-    ]
-  });
+  res.json(Object.fromEntries(PROVIDER_STAGES.map(stage => [stage, describeProviders(stage)])));
 });
 
 /**
  * GET /api/health
  */
 app.get('/api/health', (req, res) => {
-  let ffmpegOk = false;
-  try { execSync('ffmpeg -version', { stdio: 'ignore' }); ffmpegOk = true; } catch {}
-
-  let whisperOk = false;
-  try { execSync('python3 -c "import whisper"', { stdio: 'ignore' }); whisperOk = true; } catch {}
+  // Checked once per process, so polling health doesn't block on python imports
+  const ffmpegOk = ffmpegHas();
+  const whisperOk = pythonHas('whisper');
+  const demucsOk = pythonHas('demucs');
 
   res.json({
     status: 'ok',
@@ -645,11 +5634,17 @@ app.get('/api/health', (req, res) => {
       ffmpeg: ffmpegOk ? 'installed' : 'missing',
       whisper: whisperOk ? 'installed' : 'missing',
       wav2lip: fs.existsSync(path.join(__dirname, 'Wav2Lip')) ? 'present' : 'missing',
+      demucs: demucsOk ? 'installed' : 'missing',
       libretranslate: process.env.LIBRETRANSLATE_URL ? 'configured' : 'not configured',
       elevenlabs: process.env.ELEVENLABS_API_KEY ? 'configured' : 'not configured',
       xtts: process.env.XTTS_SERVER_URL ? 'configured' : 'not configured'
     },
-    active_jobs: Array.from(jobs.values()).filter(j => j.status === 'running').length,
+    providers: Object.fromEntries(PROVIDER_STAGES.map(stage => [stage, {
+      available: candidateProviders(stage).map(p => p.id),
+      registered: Array.from(providers[stage].keys())
+    }])),
+    active_jobs: runningJobs.size,
+    queued_jobs: jobQueue.length,
     total_jobs: jobs.size
   });
 });
@@ -662,9 +5657,18 @@ app.get('*', (req, res) => {
 // Error handler
 app.use((err, req, res, next) => {
   console.error(err.message);
+  if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `File exceeds the ${MEDIA_LIMITS.uploadMb} MB upload limit` });
   res.status(500).json({ error: err.message });
 });
 
+const restored = loadJobs();
+loadUsage();
+loadGlossaries();
+loadVoices();
+loadBatches();
+if (loadUsers()) console.log(`[Auth] ${users.size} user(s) configured — API keys required`);
+else console.warn('[Auth] No users configured (data/users.json or API_KEYS) — the API is open to anyone');
+
 app.listen(PORT, () => {
   console.log(`
 ╔══════════════════════════════════════════╗
@@ -673,6 +5677,10 @@ app.listen(PORT, () => {
 ║   http://localhost:${PORT}                 ║
 ╚══════════════════════════════════════════╝
   `);
+  const resumed = resumeInterruptedJobs();
+  if (restored) console.log(`[JobStore] Restored ${restored} job(s), resuming ${resumed}`);
+  resumeBatches();
+  startStorageSweeper();
 });
 
 module.exports = app;
@@ -0,0 +1,41 @@
+"""
+SyncLab — speaker diarization helper
+
+Usage: python3 scripts/diarize.py <audio.wav> <out.json> [num_speakers]
+
+Writes {"turns": [{"start": s, "end": s, "speaker": "SPEAKER_00"}, ...]}
+Requires: pip install pyannote.audio  (and a Hugging Face token in
+PYANNOTE_AUTH_TOKEN with access to the diarization model)
+"""
+
+import json
+import os
+import sys
+
+from pyannote.audio import Pipeline
+
+
+def main():
+    if len(sys.argv) < 3:
+        print(__doc__, file=sys.stderr)
+        sys.exit(2)
+
+    audio_path, out_path = sys.argv[1], sys.argv[2]
+    num_speakers = int(sys.argv[3]) if len(sys.argv) > 3 else None
+
+    pipeline = Pipeline.from_pretrained(
+        os.environ.get('DIARIZATION_MODEL', 'pyannote/speaker-diarization-3.1'),
+        use_auth_token=os.environ.get('PYANNOTE_AUTH_TOKEN'),
+    )
+    diarization = pipeline(audio_path, num_speakers=num_speakers)
+
+    turns = [
+        {'start': round(turn.start, 3), 'end': round(turn.end, 3), 'speaker': speaker}
+        for turn, _, speaker in diarization.itertracks(yield_label=True)
+    ]
+    with open(out_path, 'w') as f:
+        json.dump({'turns': turns}, f)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,148 @@
+"""
+SyncLab — shot and face preflight for lip sync
+
+Usage: python3 scripts/faces.py <frames_dir> <out.json> <fps>
+
+Reads the frame_%05d.jpg files extracted by the pipeline, splits them into
+shots where the colour histogram jumps, and looks for faces in a sample of
+each shot's frames. Writes
+
+  {"fps": f, "width": w, "height": h,
+   "shots": [{"start": s, "end": s, "face_coverage": 0-1, "faces": n,
+              "mouth_activity": 0-1, "box": [x1, y1, x2, y2] or null,
+              "stable": bool, "frame": "frame_00012.jpg" or null}, ...]}
+
+face_coverage is the share of sampled frames with a face in them; box,
+mouth_activity and frame describe the largest face. Requires:
+pip install opencv-python-headless
+"""
+
+import json
+import os
+import sys
+
+import cv2
+import numpy as np
+
+SHOT_THRESHOLD = float(os.environ.get('SHOT_CHANGE_THRESHOLD', '0.5'))
+SAMPLE_FPS = float(os.environ.get('FACE_SAMPLE_FPS', '5'))
+MIN_SHOT_SECONDS = 0.5
+DETECT_WIDTH = 640
+
+cascade = cv2.CascadeClassifier(os.path.join(cv2.data.haarcascades, 'haarcascade_frontalface_default.xml'))
+
+
+def histogram(img):
+    hsv = cv2.cvtColor(cv2.resize(img, (160, 90)), cv2.COLOR_BGR2HSV)
+    hist = cv2.calcHist([hsv], [0, 1], None, [32, 32], [0, 180, 0, 256])
+    return cv2.normalize(hist, hist).flatten()
+
+
+def detect_faces(gray):
+    """Face boxes as [x1, y1, x2, y2] in full-frame pixels, largest first."""
+    scale = min(1.0, DETECT_WIDTH / gray.shape[1])
+    small = cv2.resize(gray, None, fx=scale, fy=scale) if scale < 1 else gray
+    min_side = max(24, min(small.shape[:2]) // 12)
+    found = cascade.detectMultiScale(small, scaleFactor=1.1, minNeighbors=5, minSize=(min_side, min_side))
+    boxes = [[int(x / scale), int(y / scale), int((x + w) / scale), int((y + h) / scale)] for x, y, w, h in found]
+    return sorted(boxes, key=lambda b: (b[2] - b[0]) * (b[3] - b[1]), reverse=True)
+
+
+def mouth_region(gray, box):
+    """Lower third of a face box, at a fixed size so samples compare."""
+    x1, y1, x2, y2 = box
+    crop = gray[y1 + 2 * (y2 - y1) // 3:y2, x1:x2]
+    return cv2.resize(crop, (48, 16)).astype(np.float32) if crop.size else None
+
+
+def overlaps(a, b):
+    ix = max(0, min(a[2], b[2]) - max(a[0], b[0]))
+    iy = max(0, min(a[3], b[3]) - max(a[1], b[1]))
+    union = (a[2] - a[0]) * (a[3] - a[1]) + (b[2] - b[0]) * (b[3] - b[1]) - ix * iy
+    return union > 0 and ix * iy / union > 0.3
+
+
+def summarize(shot, fps):
+    samples = shot['samples']
+    with_face = [s for s in samples if s['boxes']]
+    boxes = [s['boxes'][0] for s in with_face]
+    box, stable = None, False
+    if boxes:
+        box = [int(v) for v in np.median(np.array(boxes), axis=0)]
+        width = max(1, box[2] - box[0])
+        centers = np.array([[(b[0] + b[2]) / 2, (b[1] + b[3]) / 2] for b in boxes])
+        sizes = np.array([b[2] - b[0] for b in boxes])
+        # A face that stays put can be given to Wav2Lip as a fixed box
+        stable = bool(np.abs(centers - centers.mean(axis=0)).max() < 0.1 * width
+                      and sizes.max() <= 1.15 * sizes.min())
+    activity = shot['motion'] / shot['pairs'] if shot['pairs'] else 0.0
+    return {
+        'start': round(shot['first'] / fps, 3),
+        'end': round((shot['last'] + 1) / fps, 3),
+        'face_coverage': round(len(with_face) / len(samples), 3) if samples else 0.0,
+        'faces': max((len(s['boxes']) for s in samples), default=0),
+        'mouth_activity': round(activity, 4),
+        'box': box,
+        'stable': stable,
+        'frame': max(with_face, key=lambda s: (s['boxes'][0][2] - s['boxes'][0][0]))['name'] if with_face else None,
+    }
+
+
+def main():
+    if len(sys.argv) < 4:
+        print(__doc__, file=sys.stderr)
+        sys.exit(2)
+
+    frames_dir, out_path, fps = sys.argv[1], sys.argv[2], float(sys.argv[3])
+    names = sorted(f for f in os.listdir(frames_dir) if f.endswith('.jpg'))
+    if not names:
+        sys.exit('no frames to inspect')
+
+    stride = max(1, round(fps / SAMPLE_FPS))
+    min_frames = max(1, round(MIN_SHOT_SECONDS * fps))
+    shots, shot, prev_hist, prev_mouth = [], None, None, None
+    width = height = 0
+    reported = -1
+
+    for i, name in enumerate(names):
+        img = cv2.imread(os.path.join(frames_dir, name))
+        if img is None:
+            continue
+        height, width = img.shape[:2]
+        hist = histogram(img)
+        cut = prev_hist is not None and cv2.compareHist(prev_hist, hist, cv2.HISTCMP_BHATTACHARYYA) > SHOT_THRESHOLD
+        prev_hist = hist
+
+        if shot is None or (cut and i - shot['first'] >= min_frames):
+            if shot:
+                shots.append(shot)
+            shot = {'first': i, 'last': i, 'samples': [], 'motion': 0.0, 'pairs': 0}
+            prev_mouth = None
+        shot['last'] = i
+
+        if (i - shot['first']) % stride == 0:
+            gray = cv2.cvtColor(img, cv2.COLOR_BGR2GRAY)
+            boxes = detect_faces(gray)
+            shot['samples'].append({'name': name, 'boxes': boxes})
+            mouth = (boxes[0], mouth_region(gray, boxes[0])) if boxes else None
+            # Mouth change between samples of the same face; a listener's stays still
+            if mouth and prev_mouth and mouth[1] is not None and prev_mouth[1] is not None and overlaps(mouth[0], prev_mouth[0]):
+                shot['motion'] += float(np.abs(mouth[1] - prev_mouth[1]).mean()) / 255
+                shot['pairs'] += 1
+            prev_mouth = mouth
+
+        percent = 100 * (i + 1) // len(names)
+        if percent // 5 != reported // 5:
+            reported = percent
+            print(f'{percent}%|', file=sys.stderr, flush=True)
+
+    if shot:
+        shots.append(shot)
+
+    with open(out_path, 'w') as f:
+        json.dump({'fps': fps, 'width': width, 'height': height,
+                   'shots': [summarize(s, fps) for s in shots]}, f)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,136 @@
+"""
+SyncLab — audio-visual sync scoring for the quality report
+
+Usage: python3 scripts/syncscore.py <video> <audio.wav> <segments.json> <out.json>
+
+A local stand-in for SyncNet: for each segment ({"id", "start", "end"}) it
+tracks the largest face, measures how much the mouth region changes frame
+to frame, and cross-correlates that with the loudness envelope of the
+(16-bit mono) audio over offsets of up to MAX_OFFSET_FRAMES. Writes
+
+  {"fps": f, "segments": [{"id": id, "face": bool, "offset_ms": ms,
+                           "score": 0-1, "confidence": c}, ...]}
+
+offset_ms > 0 means the mouth moves after the sound. score is the
+correlation at the best offset; confidence is how far that peak stands
+above the median over all offsets (as in SyncNet). Segments without a
+face, or too short to judge, get nulls. Requires:
+pip install opencv-python-headless<5
+"""
+
+import json
+import os
+import sys
+import wave
+
+import cv2
+import numpy as np
+
+MAX_OFFSET_FRAMES = int(os.environ.get('SYNC_MAX_OFFSET_FRAMES', '15'))
+DETECT_EVERY = 5
+DETECT_WIDTH = 640
+
+cascade = cv2.CascadeClassifier(os.path.join(cv2.data.haarcascades, 'haarcascade_frontalface_default.xml'))
+
+
+def largest_face(gray):
+    scale = min(1.0, DETECT_WIDTH / gray.shape[1])
+    small = cv2.resize(gray, None, fx=scale, fy=scale) if scale < 1 else gray
+    min_side = max(24, min(small.shape[:2]) // 12)
+    found = cascade.detectMultiScale(small, scaleFactor=1.1, minNeighbors=5, minSize=(min_side, min_side))
+    if not len(found):
+        return None
+    x, y, w, h = max(found, key=lambda f: f[2] * f[3])
+    return [int(x / scale), int(y / scale), int((x + w) / scale), int((y + h) / scale)]
+
+
+def mouth_region(gray, box):
+    x1, y1, x2, y2 = box
+    crop = gray[y1 + 2 * (y2 - y1) // 3:y2, x1:x2]
+    return cv2.resize(crop, (48, 16)).astype(np.float32) if crop.size else None
+
+
+def read_audio(path):
+    with wave.open(path, 'rb') as w:
+        rate = w.getframerate()
+        samples = np.frombuffer(w.readframes(w.getnframes()), dtype=np.int16).astype(np.float32) / 32768
+    return samples, rate
+
+
+def envelope(samples, rate, fps, first, count):
+    """RMS of the audio under each of `count` video frames from `first`."""
+    hop = rate / fps
+    out = np.zeros(count)
+    for k in range(count):
+        a, b = int((first + k) * hop), int((first + k + 1) * hop)
+        chunk = samples[a:b]
+        out[k] = np.sqrt(np.mean(chunk ** 2)) if len(chunk) else 0.0
+    return out
+
+
+def correlate(motion, energy):
+    """Best offset (frames), peak correlation and SyncNet-style confidence."""
+    scores = {}
+    for off in range(-MAX_OFFSET_FRAMES, MAX_OFFSET_FRAMES + 1):
+        # Mouth motion at t against sound at t - off
+        m = motion[max(0, off):len(motion) + min(0, off)]
+        e = energy[max(0, -off):len(energy) - max(0, off)]
+        if len(m) < 8 or m.std() == 0 or e.std() == 0:
+            continue
+        scores[off] = float(np.corrcoef(m, e)[0, 1])
+    if not scores:
+        return None
+    best = max(scores, key=scores.get)
+    return best, scores[best], scores[best] - float(np.median(list(scores.values())))
+
+
+def main():
+    if len(sys.argv) < 5:
+        print(__doc__, file=sys.stderr)
+        sys.exit(2)
+
+    video_path, audio_path, segments_path, out_path = sys.argv[1:5]
+    with open(segments_path) as f:
+        segments = sorted(json.load(f), key=lambda s: s['start'])
+    samples, rate = read_audio(audio_path)
+
+    cap = cv2.VideoCapture(video_path)
+    if not cap.isOpened():
+        sys.exit(f'cannot open {video_path}')
+    fps = cap.get(cv2.CAP_PROP_FPS) or 25.0
+
+    results = []
+    for n, seg in enumerate(segments):
+        first = int(seg['start'] * fps)
+        count = max(0, int(seg['end'] * fps) - first)
+        cap.set(cv2.CAP_PROP_POS_FRAMES, first)
+        motion, box, prev, faced = [], None, None, 0
+        for k in range(count):
+            ok, img = cap.read()
+            if not ok:
+                break
+            gray = cv2.cvtColor(img, cv2.COLOR_BGR2GRAY)
+            if k % DETECT_EVERY == 0:
+                box = largest_face(gray) or box
+            mouth = mouth_region(gray, box) if box else None
+            faced += mouth is not None
+            motion.append(float(np.abs(mouth - prev).mean()) if mouth is not None and prev is not None else 0.0)
+            prev = mouth
+
+        entry = {'id': seg['id'], 'face': faced > len(motion) / 2 if motion else False,
+                 'offset_ms': None, 'score': None, 'confidence': None}
+        if entry['face']:
+            found = correlate(np.array(motion[1:]), envelope(samples, rate, fps, first + 1, len(motion) - 1))
+            if found:
+                offset, score, confidence = found
+                entry.update(offset_ms=round(offset * 1000 / fps), score=round(max(0.0, score), 3),
+                             confidence=round(confidence, 3))
+        results.append(entry)
+        print(f'{100 * (n + 1) // len(segments)}%|', file=sys.stderr, flush=True)
+
+    with open(out_path, 'w') as f:
+        json.dump({'fps': fps, 'segments': results}, f)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,91 @@
+// Link tokens on HLS packages: with API keys on, a player that was handed the
+// master playlist URL must be able to fetch every variant and segment it
+// references by relative URL. Run with `node --test test/`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PORT = 40000 + Math.floor(Math.random() * 10000);
+const BASE = `http://127.0.0.1:${PORT}`;
+const KEY = 'test-key';
+const JOB_ID = crypto.randomUUID();   // job files are matched by uuid
+
+let dir;
+let server;
+
+before(async () => {
+  // A copy of the server with one finished job whose HLS package is on disk
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'synclab-test-'));
+  fs.copyFileSync(path.join(__dirname, '..', 'index.js'), path.join(dir, 'index.js'));
+  const pkg = path.join(dir, 'outputs', `${JOB_ID}_hls`);
+  fs.mkdirSync(pkg, { recursive: true });
+  fs.mkdirSync(path.join(dir, 'data', 'jobs'), { recursive: true });
+  fs.writeFileSync(path.join(pkg, 'master.m3u8'), '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1000\nes.m3u8\n');
+  fs.writeFileSync(path.join(pkg, 'es.m3u8'), '#EXTM3U\n#EXTINF:4.0,\nes_00000.ts\n#EXT-X-ENDLIST\n');
+  fs.writeFileSync(path.join(pkg, 'es_00000.ts'), Buffer.alloc(188, 0x47));
+  fs.writeFileSync(path.join(dir, 'data', 'jobs', `${JOB_ID}.json`), JSON.stringify({
+    id: JOB_ID, owner: 'alice', status: 'done', progress: 100, createdAt: Date.now(), updatedAt: Date.now(),
+    meta: { langTo: ['es'] }, artifacts: {}, languages: {}, outputs: {}, stageReports: {}, warnings: [],
+    packages: { hls: pkg }
+  }));
+
+  server = spawn(process.execPath, [path.join(dir, 'index.js')], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(PORT), API_KEYS: `alice:${KEY}` },
+    stdio: 'ignore'
+  });
+  for (let i = 0; i < 50; i++) {
+    try {
+      await fetch(`${BASE}/api/health`);
+      return;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+  throw new Error('Server did not start');
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** Fetch like a browser: follow redirects by hand, keeping cookies */
+async function browserGet(url, jar) {
+  for (;;) {
+    const res = await fetch(url, { redirect: 'manual', headers: jar.size ? { cookie: Array.from(jar, ([k, v]) => `${k}=${v}`).join('; ') } : {} });
+    for (const header of res.headers.getSetCookie()) {
+      const [pair] = header.split(';');
+      const eq = pair.indexOf('=');
+      jar.set(pair.slice(0, eq), pair.slice(eq + 1));
+    }
+    if (res.status < 300 || res.status >= 400) return res;
+    url = new URL(res.headers.get('location'), url).href;
+  }
+}
+
+test('a link token reaches the segments of an HLS package', async () => {
+  const tokenRes = await fetch(`${BASE}/api/dub/${JOB_ID}/link-token`, { method: 'POST', headers: { 'X-API-Key': KEY } });
+  assert.strictEqual(tokenRes.status, 200);
+  const { token } = await tokenRes.json();
+
+  const jar = new Map();
+  const master = await browserGet(`${BASE}/api/dub/${JOB_ID}/download/hls?token=${encodeURIComponent(token)}`, jar);
+  assert.strictEqual(master.status, 200);
+  const variantUrl = new URL((await master.text()).trim().split('\n').pop(), master.url).href;
+
+  const variant = await browserGet(variantUrl, jar);
+  assert.strictEqual(variant.status, 200);
+  const segmentUrl = new URL((await variant.text()).split('\n').find(l => l.endsWith('.ts')), variant.url).href;
+
+  const segment = await browserGet(segmentUrl, jar);
+  assert.strictEqual(segment.status, 200);
+  assert.strictEqual((await segment.arrayBuffer()).byteLength, 188);
+
+  // The same segment without the cookie is refused
+  assert.strictEqual((await fetch(segmentUrl)).status, 401);
+});